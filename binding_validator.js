@@ -0,0 +1,523 @@
+/**
+ * Logic to check config bindings before they are registered.
+ *
+ * @author: Chris Johnson (LabJack, 2014)
+ * @author: Sam Pottinger (LabJack, 2014)
+**/
+
+var ljmmm_parse = require('ljmmm-parse');
+
+var value_formatters = require('./value_formatters');
+var value_parsers = require('./value_parsers');
+
+var REQUIRED_FIELDS = ['class', 'template', 'binding', 'direction'];
+var OPTIONAL_FIELDS = [
+    'event',
+    'period',
+    'group',
+    'formatter',
+    'validation',
+    'parser',
+    'confirmWrite',
+    'debounce',
+    'throttle',
+    'devices',
+    'dataType',
+    'sources',
+    'compute',
+    'condition',
+    'deadband',
+    'target'
+];
+var DIRECTIONS = ['read', 'write', 'readwrite'];
+var DATA_TYPES = ['UINT16', 'UINT32', 'INT32', 'FLOAT32', 'STRING'];
+var TARGETS = ['html', 'value', 'checked', 'width'];
+
+
+/**
+ * Determine if a value is a valid number of milliseconds.
+ *
+ * @param {Object} period The value to check.
+ * @return {boolean} True if period is a positive integer and false otherwise.
+**/
+function isValidPeriod (period) {
+    return typeof period === 'number' && period > 0 &&
+        Math.floor(period) === period;
+}
+
+
+/**
+ * Expand an LJMMM name without throwing if the name is malformed.
+ *
+ * @param {String} name The name to expand.
+ * @return {Array} The expanded names or null if the name could not be
+ *      expanded.
+**/
+function tryExpand (name) {
+    try {
+        return ljmmm_parse.expandLJMMMName(String(name));
+    } catch (err) {
+        return null;
+    }
+}
+
+
+/**
+ * Check the fields that describe how a binding reads and writes.
+ *
+ * @param {Object} binding The binding to check.
+ * @param {Object} context See validateBinding.
+ * @param {function} addProblem Function to call with the field and a
+ *      description of each problem found.
+**/
+function checkOptions (binding, context, addProblem) {
+    var direction = binding.direction;
+    var isWrite = direction === 'write' || direction === 'readwrite';
+    if (isWrite && binding.event === undefined)
+        addProblem('event', 'Write config binding missing event');
+
+    if (binding.period !== undefined && !isValidPeriod(binding.period))
+        addProblem('period', 'Config binding has invalid period');
+
+    var group = binding.group;
+    if (group !== undefined && !context.hasPollingGroup(group)) {
+        addProblem(
+            'group',
+            'Config binding has unknown polling group ' + group
+        );
+    }
+
+    var checkers = {
+        formatter: value_formatters.checkFormatter,
+        validation: value_parsers.checkValidation,
+        parser: value_parsers.checkParser
+    };
+    Object.keys(checkers).forEach(function (field) {
+        if (binding[field] === undefined)
+            return;
+        var problem = checkers[field](binding[field]);
+        if (problem !== null)
+            addProblem(field, problem);
+    });
+
+    ['debounce', 'throttle'].forEach(function (field) {
+        if (binding[field] !== undefined && !isValidPeriod(binding[field]))
+            addProblem(field, 'Config binding has invalid ' + field);
+    });
+
+    var scope = binding.devices;
+    var validScope = scope === undefined || typeof scope === 'string' ||
+        typeof scope === 'number';
+    if (!validScope)
+        addProblem('devices', 'Config binding has invalid devices');
+
+    if (scope === 'all' && direction === 'readwrite') {
+        addProblem(
+            'devices',
+            'Readwrite config binding cannot apply to all devices'
+        );
+    }
+
+    var confirmWrite = binding.confirmWrite;
+    var validConfirm = confirmWrite === undefined ||
+        typeof confirmWrite === 'boolean' || (
+            confirmWrite !== null && typeof confirmWrite === 'object' &&
+            typeof confirmWrite.tolerance === 'number'
+        );
+    if (!validConfirm)
+        addProblem('confirmWrite', 'Config binding has invalid confirmWrite');
+
+    var dataType = binding.dataType;
+    if (dataType !== undefined && DATA_TYPES.indexOf(dataType) == -1)
+        addProblem('dataType', 'Config binding has invalid dataType');
+
+    var deadband = binding.deadband;
+    var validDeadband = deadband === undefined || (
+        typeof deadband === 'number' && deadband >= 0
+    );
+    if (!validDeadband)
+        addProblem('deadband', 'Config binding has invalid deadband');
+
+    var target = binding.target;
+    if (target !== undefined && !isValidTarget(target))
+        addProblem('target', 'Config binding has invalid target');
+    if (target !== undefined && direction !== undefined &&
+        direction !== 'read') {
+        addProblem('target', 'Only read config bindings may have a target');
+    }
+}
+
+
+/**
+ * Determine if a read binding's target attribute is well formed.
+ *
+ * @param {Object} target The target to check.
+ * @return {boolean} True if target is the name of a target, a function, or
+ *      an object describing an attribute, CSS class, or scaled width.
+**/
+function isValidTarget (target) {
+    if (typeof target === 'function' || TARGETS.indexOf(target) != -1)
+        return true;
+    if (target === null || typeof target !== 'object')
+        return false;
+
+    var keys = Object.keys(target);
+    if (keys.length != 1)
+        return false;
+
+    if (keys[0] === 'attr' || keys[0] === 'class')
+        return typeof target[keys[0]] === 'string';
+
+    var range = target.width;
+    return keys[0] === 'width' && range !== null &&
+        typeof range === 'object' && typeof range.min === 'number' &&
+        typeof range.max === 'number' && range.max > range.min;
+}
+
+
+/**
+ * Determine if a binding computes its value from several source registers.
+ *
+ * @param {Object} binding The binding to check.
+ * @return {boolean} True if the binding has a sources attribute.
+**/
+function isDerived (binding) {
+    return binding.sources !== undefined;
+}
+
+
+/**
+ * Check the fields of derived and conditional bindings.
+ *
+ * @param {Object} binding The binding to check.
+ * @param {function} addProblem Function to call with the field and a
+ *      description of each problem found.
+**/
+function checkDerived (binding, addProblem) {
+    var isRead = binding.direction === 'read';
+    var hasCondition = binding.condition !== undefined;
+    if (hasCondition && typeof binding.condition !== 'function')
+        addProblem('condition', 'Config binding has invalid condition');
+    if (hasCondition && binding.direction !== undefined && !isRead) {
+        addProblem(
+            'condition',
+            'Only read config bindings may have a condition'
+        );
+    }
+
+    if (!isDerived(binding)) {
+        if (binding.compute !== undefined) {
+            addProblem(
+                'compute',
+                'Config binding with compute missing sources'
+            );
+        }
+        return;
+    }
+
+    var sources = binding.sources;
+    var validSources = Array.isArray(sources) && sources.length > 0 &&
+        sources.every(function (source) {
+            return typeof source === 'string' || typeof source === 'number';
+        });
+    if (!validSources)
+        addProblem('sources', 'Config binding has invalid sources');
+
+    if (binding.binding !== undefined) {
+        addProblem(
+            'binding',
+            'Config binding cannot have both binding and sources'
+        );
+    }
+
+    if (binding.compute === undefined)
+        addProblem('compute', 'Derived config binding missing compute');
+    else if (typeof binding.compute !== 'function')
+        addProblem('compute', 'Config binding has invalid compute');
+
+    if (binding.direction !== undefined && !isRead) {
+        addProblem(
+            'direction',
+            'Derived config binding must have direction read'
+        );
+    }
+}
+
+
+/**
+ * Check that the registers a binding expands to exist and allow its direction.
+ *
+ * Registers may be given by name or by Modbus address. Addresses that are not
+ * in the register map need a dataType and are not checked for access. Unknown
+ * names are only reported as warnings if the register map is incomplete.
+ *
+ * @param {Object} binding The binding to check.
+ * @param {Array} registers The register names or addresses the binding
+ *      expands to.
+ * @param {Object} context See validateBinding.
+ * @param {function} addProblem Function to call with the field, a
+ *      description of each problem found, and true if the problem is only a
+ *      warning.
+**/
+function checkRegisters (binding, registers, context, addProblem) {
+    var direction = binding.direction;
+    var needsRead = direction === 'read' || direction === 'readwrite';
+    var needsWrite = direction === 'write' || direction === 'readwrite';
+    var dataType = binding.dataType;
+    var field = isDerived(binding) ? 'sources' : 'binding';
+
+    registers.forEach(function (name) {
+        var register = context.resolveRegister(name, dataType);
+        var isAddress = /^\d+$/.test(name);
+        if (register === null && !isAddress) {
+            addProblem(
+                field,
+                'Config binding has unknown register ' + name,
+                context.registerMapComplete === false
+            );
+            return;
+        }
+
+        // An invalid dataType is reported by checkOptions
+        if (register === null) {
+            if (dataType === undefined) {
+                addProblem(
+                    'dataType',
+                    'Config binding for unknown address ' + name +
+                        ' needs a dataType'
+                );
+            }
+            return;
+        }
+
+        if (register.name === null)
+            return;
+
+        if (dataType !== undefined && dataType !== register.type) {
+            addProblem(
+                'dataType',
+                'Config binding dataType ' + dataType + ' does not match ' +
+                    register.type + ' register ' + register.name
+            );
+        }
+
+        var access = register.readwrite;
+        if (needsRead && access.indexOf('R') == -1)
+            addProblem(field, 'Register ' + name + ' cannot be read');
+        if (needsWrite && access.indexOf('W') == -1)
+            addProblem(field, 'Register ' + name + ' cannot be written');
+    });
+}
+
+
+/**
+ * Check the template and binding names including their LJMMM expansions.
+ *
+ * The sources of derived bindings are checked instead of the binding and
+ * their template must name a single element.
+ *
+ * @param {Object} binding The binding to check.
+ * @param {Object} context See validateBinding.
+ * @param {function} addProblem Function to call with the field and a
+ *      description of each problem found.
+**/
+function checkNames (binding, context, addProblem) {
+    var derived = isDerived(binding);
+    var templates = tryExpand(binding.template);
+    var registers = derived ?
+        binding.sources.map(String) : tryExpand(binding.binding);
+
+    if (templates === null)
+        addProblem('template', 'Config binding has invalid LJMMM template');
+
+    if (registers === null)
+        addProblem('binding', 'Config binding has invalid LJMMM binding');
+
+    if (templates === null || registers === null)
+        return;
+
+    if (derived && templates.length != 1) {
+        addProblem(
+            'template',
+            'Derived config binding template must name a single element'
+        );
+    } else if (!derived && templates.length != registers.length) {
+        addProblem(
+            'template',
+            'Config binding template expands to ' + templates.length +
+            ' names but binding expands to ' + registers.length
+        );
+    }
+
+    if (context.resolveRegister !== undefined)
+        checkRegisters(binding, registers, context, addProblem);
+
+    var seenTemplates = [];
+    templates.forEach(function (template) {
+        var duplicate = seenTemplates.indexOf(template) != -1 || (
+            context.hasTemplate !== undefined && context.hasTemplate(template)
+        );
+        if (duplicate) {
+            addProblem(
+                'template',
+                'Config binding template ' + template + ' is already bound'
+            );
+        }
+        seenTemplates.push(template);
+
+        var checkElement = context.elementExists && binding.devices !== 'all';
+        if (checkElement && !context.elementExists(template)) {
+            addProblem(
+                'template',
+                'Config binding template ' + template +
+                ' does not match an element in the view'
+            );
+        }
+    });
+}
+
+
+/**
+ * Find all of the problems with a config binding.
+ *
+ * See Framework.putConfigBinding for the attributes a binding may have.
+ *
+ * @param {Object} binding The binding to check.
+ * @param {Object} context Object describing the framework's current state
+ *      with the following attributes:
+ *      <ul>
+ *        <li>{function} hasPollingGroup: Takes a polling group name and
+ *              returns true if that group exists.</li>
+ *        <li>{function} hasTemplate: Takes an element ID and returns true if
+ *              another binding already uses that element. Optional.</li>
+ *        <li>{function} resolveRegister: Takes a register name or address
+ *              and the binding's dataType and returns the register's
+ *              description (see register_map.resolveRegister) or null if
+ *              the register is not known. Optional. If not given, registers
+ *              are not checked.</li>
+ *        <li>{boolean} registerMapComplete: False if resolveRegister may
+ *              not know every register, in which case unknown register names
+ *              are reported as warnings. Optional. Defaults to true.</li>
+ *        <li>{function} elementExists: Takes an element ID and returns true
+ *              if the element is in the view. Optional. If not given, element
+ *              IDs are not checked. Bindings for all selected devices are
+ *              not checked because they display values in an element per
+ *              device.</li>
+ *      </ul>
+ * @return {Array} Array of Object with a field attribute naming the binding
+ *      attribute with the problem (or null if the problem is not with a
+ *      specific attribute) and a message attribute describing the problem.
+ *      Problems that should not stop the binding from being registered also
+ *      have a warning attribute set to true. Empty if the binding is valid.
+**/
+function validateBinding (binding, context) {
+    var problems = [];
+    var addProblem = function (field, message, isWarning) {
+        var problem = {field: field, message: message};
+        if (isWarning)
+            problem.warning = true;
+        problems.push(problem);
+    };
+
+    if (binding === null || typeof binding !== 'object') {
+        addProblem(null, 'Config binding must be an object');
+        return problems;
+    }
+
+    Object.keys(binding).forEach(function (field) {
+        var known = REQUIRED_FIELDS.indexOf(field) != -1 ||
+            OPTIONAL_FIELDS.indexOf(field) != -1;
+        if (!known)
+            addProblem(field, 'Config binding has unknown attribute ' + field);
+    });
+
+    REQUIRED_FIELDS.forEach(function (field) {
+        var optional = field === 'binding' && isDerived(binding);
+        if (binding[field] === undefined && !optional)
+            addProblem(field, 'Config binding missing ' + field);
+    });
+
+    var direction = binding.direction;
+    if (direction !== undefined && DIRECTIONS.indexOf(direction) == -1) {
+        addProblem(
+            'direction',
+            'Config binding has invalid direction ' + direction
+        );
+    }
+
+    checkOptions(binding, context, addProblem);
+    checkDerived(binding, addProblem);
+
+    var hasRegisters = binding.binding !== undefined || (
+        isDerived(binding) && Array.isArray(binding.sources)
+    );
+    if (binding.template !== undefined && hasRegisters)
+        checkNames(binding, context, addProblem);
+
+    return problems;
+}
+
+
+/**
+ * Determine if any of the problems with a binding should stop it from being
+ * registered.
+ *
+ * @param {Array} problems The problems found by validateBinding or
+ *      validateBindings.
+ * @return {boolean} True if at least one of the problems is not a warning.
+**/
+function hasErrors (problems) {
+    return problems.some(function (problem) {
+        return !problem.warning;
+    });
+}
+
+
+/**
+ * Find all of the problems with a list of config bindings.
+ *
+ * Each binding is checked as in validateBinding. Bindings whose templates
+ * expand to the same element ID as an earlier binding in the list are also
+ * reported.
+ *
+ * @param {Array} bindingsList The bindings to check.
+ * @param {Object} context See validateBinding.
+ * @return {Array} Array of problems as described in validateBinding with an
+ *      additional index attribute giving the position in bindingsList of the
+ *      binding with the problem. Empty if all of the bindings are valid.
+**/
+function validateBindings (bindingsList, context) {
+    var problems = [];
+    var listTemplates = [];
+    var listContext = {
+        hasPollingGroup: context.hasPollingGroup,
+        resolveRegister: context.resolveRegister,
+        registerMapComplete: context.registerMapComplete,
+        elementExists: context.elementExists,
+        hasTemplate: function (template) {
+            if (listTemplates.indexOf(template) != -1)
+                return true;
+            return context.hasTemplate !== undefined &&
+                context.hasTemplate(template);
+        }
+    };
+
+    bindingsList.forEach(function (binding, index) {
+        validateBinding(binding, listContext).forEach(function (problem) {
+            problem.index = index;
+            problems.push(problem);
+        });
+
+        var templates = binding ? tryExpand(binding.template) : null;
+        if (templates !== null)
+            listTemplates = listTemplates.concat(templates);
+    });
+
+    return problems;
+}
+
+
+exports.isValidPeriod = isValidPeriod;
+exports.validateBinding = validateBinding;
+exports.validateBindings = validateBindings;
+exports.hasErrors = hasErrors;
@@ -0,0 +1,353 @@
+/**
+ * Automated tests for the config binding validator.
+ *
+ * @author: Chris Johnson (LabJack, 2014)
+ * @author: Sam Pottinger (LabJack, 2014)
+**/
+
+
+var binding_validator = require('./binding_validator');
+var register_map = require('./register_map');
+
+var TEST_CONTEXT = {
+    hasPollingGroup: function (name) { return name === 'slow'; }
+};
+
+
+/**
+ * Get the fields of the problems found with a binding.
+ *
+ * @param {Array} problems The problems returned by the validator.
+ * @return {Array} The field attribute of each problem.
+**/
+function getFields (problems) {
+    return problems.map(function (problem) { return problem.field; });
+}
+
+
+module.exports = {
+
+    testValidateBindingValid: function (test) {
+        var problems = binding_validator.validateBinding({
+            class: 'dac-controls',
+            template: 'dac-#(0:1)',
+            binding: 'DAC#(0:1)',
+            direction: 'write',
+            event: 'change',
+            group: 'slow'
+        }, TEST_CONTEXT);
+        test.deepEqual(problems, []);
+        test.done();
+    },
+
+    testValidateBindingCollectsProblems: function (test) {
+        var problems = binding_validator.validateBinding({
+            class: 'dac-controls',
+            template: 'dac-0',
+            binding: 'DAC0',
+            direction: 'write',
+            period: -1,
+            colour: 'red'
+        }, TEST_CONTEXT);
+        test.deepEqual(getFields(problems), ['colour', 'event', 'period']);
+        test.equal(problems[1].message, 'Write config binding missing event');
+        test.done();
+    },
+
+    testValidateBindingDirection: function (test) {
+        var problems = binding_validator.validateBinding({
+            class: 'ain-inputs',
+            template: 'ain-0',
+            binding: 'AIN0',
+            direction: 'sideways'
+        }, TEST_CONTEXT);
+        test.deepEqual(problems, [{
+            field: 'direction',
+            message: 'Config binding has invalid direction sideways'
+        }]);
+        test.done();
+    },
+
+    testValidateBindingExpansionMismatch: function (test) {
+        var problems = binding_validator.validateBinding({
+            class: 'ain-inputs',
+            template: 'ain-#(0:2)',
+            binding: 'AIN#(0:1)',
+            direction: 'read'
+        }, TEST_CONTEXT);
+        test.equal(
+            problems[0].message,
+            'Config binding template expands to 3 names but binding expands ' +
+            'to 2'
+        );
+        test.done();
+    },
+
+    testValidateBindingMissingElement: function (test) {
+        var problems = binding_validator.validateBinding({
+            class: 'ain-inputs',
+            template: 'ain-#(0:1)',
+            binding: 'AIN#(0:1)',
+            direction: 'read'
+        }, {
+            hasPollingGroup: TEST_CONTEXT.hasPollingGroup,
+            elementExists: function (id) { return id === 'ain-0'; }
+        });
+        test.deepEqual(problems, [{
+            field: 'template',
+            message: 'Config binding template ain-1 does not match an ' +
+                'element in the view'
+        }]);
+        test.done();
+    },
+
+    testValidateBindingsDuplicateTemplates: function (test) {
+        var problems = binding_validator.validateBindings([
+            {
+                class: 'ain-inputs',
+                template: 'ain-#(0:1)',
+                binding: 'AIN#(0:1)',
+                direction: 'read'
+            },
+            {
+                class: 'ain-inputs',
+                template: 'ain-1',
+                binding: 'AIN1',
+                direction: 'read'
+            }
+        ], TEST_CONTEXT);
+        test.deepEqual(problems, [{
+            field: 'template',
+            message: 'Config binding template ain-1 is already bound',
+            index: 1
+        }]);
+        test.done();
+    },
+
+    testValidateBindingRegisters: function (test) {
+        var context = {
+            hasPollingGroup: TEST_CONTEXT.hasPollingGroup,
+            resolveRegister: register_map.resolveRegister
+        };
+
+        var problems = binding_validator.validateBinding({
+            class: 'ain-inputs',
+            template: 'ain-#(0:1)',
+            binding: 'AIN#(0:1)',
+            direction: 'readwrite',
+            event: 'change'
+        }, context);
+        test.deepEqual(problems.map(function (problem) {
+            return problem.message;
+        }), [
+            'Register AIN0 cannot be written',
+            'Register AIN1 cannot be written'
+        ]);
+
+        problems = binding_validator.validateBinding({
+            class: 'dac-controls',
+            template: 'dac-0',
+            binding: 'DAC00',
+            direction: 'write',
+            event: 'change'
+        }, context);
+        test.deepEqual(problems, [{
+            field: 'binding',
+            message: 'Config binding has unknown register DAC00'
+        }]);
+        test.ok(binding_validator.hasErrors(problems));
+        test.done();
+    },
+
+    testValidateBindingsIncompleteRegisterMap: function (test) {
+        var context = {
+            hasPollingGroup: TEST_CONTEXT.hasPollingGroup,
+            resolveRegister: register_map.resolveRegister,
+            registerMapComplete: false
+        };
+
+        var problems = binding_validator.validateBindings([{
+            class: 'dio-inputs',
+            template: 'dio-0',
+            binding: 'DIO0',
+            direction: 'read'
+        }], context);
+        test.deepEqual(problems, [{
+            field: 'binding',
+            message: 'Config binding has unknown register DIO0',
+            warning: true,
+            index: 0
+        }]);
+        test.ok(!binding_validator.hasErrors(problems));
+        test.done();
+    },
+
+    testValidateBindingAddresses: function (test) {
+        var context = {
+            hasPollingGroup: TEST_CONTEXT.hasPollingGroup,
+            resolveRegister: register_map.resolveRegister
+        };
+        var createBinding = function (binding, dataType) {
+            return {
+                class: 'raw-registers',
+                template: 'raw-register',
+                binding: binding,
+                direction: 'read',
+                dataType: dataType
+            };
+        };
+
+        test.deepEqual(
+            binding_validator.validateBinding(createBinding(2), context),
+            []
+        );
+        test.deepEqual(
+            binding_validator.validateBinding(
+                createBinding('46100', 'UINT32'),
+                context
+            ),
+            []
+        );
+        test.deepEqual(
+            binding_validator.validateBinding(createBinding(46100), context),
+            [{
+                field: 'dataType',
+                message: 'Config binding for unknown address 46100 needs a ' +
+                    'dataType'
+            }]
+        );
+        test.deepEqual(
+            binding_validator.validateBinding(
+                createBinding(46100, 'UINT64'),
+                context
+            ),
+            [{
+                field: 'dataType',
+                message: 'Config binding has invalid dataType'
+            }]
+        );
+        test.deepEqual(
+            binding_validator.validateBinding(
+                createBinding('AIN1', 'UINT16'),
+                context
+            ),
+            [{
+                field: 'dataType',
+                message: 'Config binding dataType UINT16 does not match ' +
+                    'FLOAT32 register AIN1'
+            }]
+        );
+        test.done();
+    },
+
+    testValidateBindingDerived: function (test) {
+        var context = {
+            hasPollingGroup: TEST_CONTEXT.hasPollingGroup,
+            resolveRegister: register_map.resolveRegister
+        };
+        var difference = function (values) {
+            return values.AIN0 - values.AIN1;
+        };
+
+        test.deepEqual(binding_validator.validateBinding({
+            class: 'ain-inputs',
+            template: 'ain-difference',
+            sources: ['AIN0', 'AIN1'],
+            compute: difference,
+            direction: 'read'
+        }, context), []);
+
+        var problems = binding_validator.validateBinding({
+            class: 'ain-inputs',
+            template: 'ain-difference-#(0:1)',
+            sources: ['AIN0', 'NOT_A_REGISTER'],
+            compute: 'AIN0 - AIN1',
+            direction: 'write',
+            event: 'change'
+        }, context);
+        test.deepEqual(getFields(problems), [
+            'compute',
+            'direction',
+            'template',
+            'sources',
+            'sources'
+        ]);
+        test.done();
+    },
+
+    testValidateBindingDeadband: function (test) {
+        var binding = {
+            class: 'ain-inputs',
+            template: 'ain-0',
+            binding: 'AIN0',
+            direction: 'read',
+            deadband: 0.01
+        };
+        test.deepEqual(
+            binding_validator.validateBinding(binding, TEST_CONTEXT),
+            []
+        );
+
+        binding.deadband = -1;
+        test.deepEqual(
+            getFields(binding_validator.validateBinding(binding, TEST_CONTEXT)),
+            ['deadband']
+        );
+        test.done();
+    },
+
+    testValidateBindingTarget: function (test) {
+        var binding = {
+            class: 'ain-inputs',
+            template: 'ain-0-gauge',
+            binding: 'AIN0',
+            direction: 'read',
+            target: {width: {min: 0, max: 10}}
+        };
+        test.deepEqual(
+            binding_validator.validateBinding(binding, TEST_CONTEXT),
+            []
+        );
+
+        binding.target = {width: {min: 10, max: 0}};
+        test.deepEqual(
+            getFields(binding_validator.validateBinding(binding, TEST_CONTEXT)),
+            ['target']
+        );
+
+        binding.target = {class: 'led-on'};
+        binding.direction = 'readwrite';
+        binding.event = 'change';
+        test.deepEqual(
+            binding_validator.validateBinding(binding, TEST_CONTEXT),
+            [{
+                field: 'target',
+                message: 'Only read config bindings may have a target'
+            }]
+        );
+        test.done();
+    },
+
+    testValidateBindingCondition: function (test) {
+        var problems = binding_validator.validateBinding({
+            class: 'ain-inputs',
+            template: 'ain-0',
+            binding: 'AIN0',
+            direction: 'read',
+            condition: true,
+            compute: function () { return 1; }
+        }, TEST_CONTEXT);
+        test.deepEqual(problems, [
+            {
+                field: 'condition',
+                message: 'Config binding has invalid condition'
+            },
+            {
+                field: 'compute',
+                message: 'Config binding with compute missing sources'
+            }
+        ]);
+        test.done();
+    }
+
+};
@@ -0,0 +1,366 @@
+/**
+ * Logic to save the values read by the refresh loop to CSV or NDJSON files.
+ *
+ * @author: Chris Johnson (LabJack, 2014)
+ * @author: Sam Pottinger (LabJack, 2014)
+**/
+
+var path = require('path');
+
+var q = require('q');
+
+var fs_facade = require('./fs_facade');
+var register_map = require('./register_map');
+
+var FORMATS = ['csv', 'ndjson'];
+var DEFAULT_BASE_NAME = 'log';
+
+
+/**
+ * Find all of the problems with the options for a DataLogger.
+ *
+ * @param {Object} options The options to check. See DataLogger.
+ * @return {Array} Array of String describing each problem. Empty if the
+ *      options are valid.
+**/
+function validateOptions (options) {
+    var problems = [];
+    if (options === null || typeof options !== 'object')
+        return ['Logger options must be an object'];
+
+    if (typeof options.directory !== 'string')
+        problems.push('Logger missing directory');
+
+    var format = options.format;
+    if (format !== undefined && FORMATS.indexOf(format) == -1)
+        problems.push('Logger has invalid format ' + format);
+
+    var registers = options.registers;
+    var validRegisters = registers === undefined || (
+        Array.isArray(registers) && registers.length > 0
+    );
+    if (!validRegisters)
+        problems.push('Logger has invalid registers');
+
+    ['maxBytes', 'maxAge'].forEach(function (field) {
+        var value = options[field];
+        var valid = value === undefined || (
+            typeof value === 'number' && value > 0
+        );
+        if (!valid)
+            problems.push('Logger has invalid ' + field);
+    });
+
+    return problems;
+}
+
+
+/**
+ * Quote a CSV field if it contains characters with special meaning.
+ *
+ * @param {Object} value The value of the field.
+ * @return {String} The field as it should appear in the file. Undefined and
+ *      null values are left empty.
+**/
+function formatCSVField (value) {
+    if (value === undefined || value === null)
+        return '';
+
+    var field = String(value);
+    if (/[",\r\n]/.test(field))
+        return '"' + field.replace(/"/g, '""') + '"';
+    return field;
+}
+
+
+/**
+ * Get the key a register's values are given under in the refresh loop's
+ * values.
+ *
+ * @param {Object} register The register name or address.
+ * @return {String} The register's name if it is in the register map and the
+ *      given name or address otherwise.
+**/
+function getRegisterColumn (register) {
+    var description = register_map.resolveRegister(register);
+    return String(description === null ? register : description.key);
+}
+
+
+/**
+ * Create a timestamp that can be used in a file name.
+ *
+ * @param {int} time The time in milliseconds since the epoch.
+ * @return {String} The time in ISO 8601 format with characters that are not
+ *      allowed in file names on all platforms replaced by dashes.
+**/
+function getFileTimestamp (time) {
+    return new Date(time).toISOString().replace(/[:.]/g, '-');
+}
+
+
+/**
+ * Logger that appends timestamped register values to rotating files.
+ *
+ * Rows are written one at a time in the order they are logged. A new file is
+ * started when logging starts and whenever the current file would grow past
+ * maxBytes or has been open for maxAge milliseconds. Files are named after
+ * the base name, the time of their first row, and their position in the
+ * logging session like log_2014-01-01T00-00-00-000Z_1.csv.
+ *
+ * If registers are not given, registers first read after logging starts are
+ * added as new columns. CSV logs start a new file with the extended header
+ * when this happens.
+ *
+ * @param {Object} options Object describing the log with the following
+ *      attributes:
+ *      <ul>
+ *        <li>{String} directory: The directory to write log files to.</li>
+ *        <li>{String} baseName: The start of each log file's name.
+ *              Optional. Defaults to "log".</li>
+ *        <li>{String} format: Either "csv" or "ndjson". Optional. Defaults
+ *              to "csv".</li>
+ *        <li>{Array} registers: The names or addresses of the registers to
+ *              log. Registers given by an address in the register map are
+ *              logged under their names. Optional. Defaults to all of the
+ *              registers in the values logged.</li>
+ *        <li>{int} maxBytes: Size in bytes at which to start a new file.
+ *              Optional.</li>
+ *        <li>{int} maxAge: Number of milliseconds after which to start a new
+ *              file. Optional.</li>
+ *        <li>{function} onError: Function to call with any error encountered
+ *              while writing. Logging continues with the next row.
+ *              Optional.</li>
+ *      </ul>
+**/
+function DataLogger (options) {
+
+    var format = options.format || 'csv';
+    var baseName = options.baseName || DEFAULT_BASE_NAME;
+    var registers = [];
+    if (options.registers)
+        registers = options.registers.map(getRegisterColumn);
+    var framework = null;
+    var running = false;
+    var currentFile = null;
+    var fileStartTime = null;
+    var fileBytes = 0;
+    var fileNumber = 0;
+    var pendingWrites = q.resolve();
+
+    /**
+     * Call an fs_facade function that takes onError and onSuccess callbacks.
+     *
+     * @param {function} operation The fs_facade function to call.
+     * @param {String} location The file to operate on.
+     * @param {String} contents The text to write.
+     * @return {q.promise} Promise that resolves after the operation finishes.
+    **/
+    var callFileOperation = function (operation, location, contents) {
+        var deferred = q.defer();
+        operation(location, contents, deferred.reject, deferred.resolve);
+        return deferred.promise;
+    };
+
+    /**
+     * Add the registers that have not been logged before to the columns.
+     *
+     * Does nothing if the registers to log were given in the options.
+     *
+     * @param {dict} valuesDict Dictionary mapping register name to value.
+     * @return {boolean} True if any columns were added.
+    **/
+    var addNewRegisters = function (valuesDict) {
+        if (options.registers)
+            return false;
+
+        var added = false;
+        valuesDict.forEach(function (value, register) {
+            if (registers.indexOf(register) == -1) {
+                registers.push(register);
+                added = true;
+            }
+        });
+        return added;
+    };
+
+    /**
+     * Create the text for a row of the log.
+     *
+     * @param {int} time The time the values were read.
+     * @param {dict} valuesDict Dictionary mapping register name to value.
+     * @param {Array} columns The registers to include in the row.
+     * @return {String} The row including its line ending.
+    **/
+    var formatRow = function (time, valuesDict, columns) {
+        var timestamp = new Date(time).toISOString();
+
+        if (format === 'ndjson') {
+            var row = {time: timestamp};
+            columns.forEach(function (register) {
+                row[register] = valuesDict.get(register);
+            });
+            return JSON.stringify(row) + '\n';
+        }
+
+        var fields = [timestamp].concat(columns.map(function (register) {
+            return valuesDict.get(register);
+        }));
+        return fields.map(formatCSVField).join(',') + '\n';
+    };
+
+    /**
+     * Determine if a row should go in a new file.
+     *
+     * @param {int} time The time of the row.
+     * @param {String} row The text of the row.
+     * @return {boolean} True if there is no current file or the row would
+     *      make the current file exceed maxBytes or maxAge.
+    **/
+    var needsNewFile = function (time, row) {
+        if (currentFile === null)
+            return true;
+
+        var rowBytes = Buffer.byteLength(row, 'utf8');
+        var tooBig = options.maxBytes !== undefined &&
+            fileBytes + rowBytes > options.maxBytes;
+        var tooOld = options.maxAge !== undefined &&
+            time - fileStartTime >= options.maxAge;
+        return tooBig || tooOld;
+    };
+
+    /**
+     * Start a new log file with the CSV header if needed.
+     *
+     * @param {int} time The time of the first row in the file.
+     * @param {Array} columns The registers logged in the file.
+     * @return {q.promise} Promise that resolves after the file is created.
+    **/
+    var startFile = function (time, columns) {
+        fileNumber++;
+        currentFile = path.join(
+            options.directory,
+            baseName + '_' + getFileTimestamp(time) + '_' + fileNumber +
+                '.' + format
+        );
+        fileStartTime = time;
+
+        var header = '';
+        if (format === 'csv') {
+            header = ['time'].concat(columns).map(formatCSVField).join(',') +
+                '\n';
+        }
+        fileBytes = Buffer.byteLength(header, 'utf8');
+        return callFileOperation(fs_facade.writeFile, currentFile, header);
+    };
+
+    /**
+     * Write the values read by the refresh loop to the log.
+     *
+     * @param {dict} valuesDict Dictionary mapping register name to the value
+     *      read. Registers without a value are left empty.
+     * @param {int} time The time the values were read in milliseconds since
+     *      the epoch. Optional. Defaults to now.
+     * @return {q.promise} Promise that resolves after the row is written and
+     *      rejects if it could not be written.
+    **/
+    this.logValues = function (valuesDict, time) {
+        if (time === undefined)
+            time = Date.now();
+
+        // Files are started after earlier rows are written, by which time
+        // later rows may have added more columns
+        var newHeader = addNewRegisters(valuesDict) && format === 'csv';
+        var columns = registers.slice();
+        var row = formatRow(time, valuesDict, columns);
+        var writeRow = function () {
+            var ready = q.resolve();
+            if (newHeader || needsNewFile(time, row))
+                ready = startFile(time, columns);
+
+            return ready.then(function () {
+                fileBytes += Buffer.byteLength(row, 'utf8');
+                return callFileOperation(
+                    fs_facade.appendFile,
+                    currentFile,
+                    row
+                );
+            });
+        };
+
+        var written = pendingWrites.then(writeRow);
+        pendingWrites = written.fail(function (err) {
+            if (options.onError)
+                options.onError(err);
+        });
+        return written;
+    };
+    var logValues = this.logValues;
+
+    /**
+     * Listener for the framework's onRefreshed event.
+     *
+     * The refresh loop continues without waiting for the row to be written.
+    **/
+    var onRefreshed = function (framework, valuesDict, onError, onSuccess) {
+        logValues(valuesDict);
+        onSuccess();
+    };
+
+    /**
+     * Start logging the values read by a framework's refresh loop.
+     *
+     * @param {Framework} newFramework The framework whose onRefreshed event
+     *      should be logged.
+    **/
+    this.start = function (newFramework) {
+        if (running)
+            return;
+
+        framework = newFramework;
+        framework.on('onRefreshed', onRefreshed);
+        running = true;
+    };
+
+    /**
+     * Stop logging and finish writing the rows already logged.
+     *
+     * The next call to start begins a new file.
+     *
+     * @return {q.promise} Promise that resolves after all logged rows are
+     *      written.
+    **/
+    this.stop = function () {
+        if (running) {
+            framework.off('onRefreshed', onRefreshed);
+            running = false;
+        }
+
+        return pendingWrites.then(function () {
+            currentFile = null;
+        });
+    };
+
+    /**
+     * Determine if the logger is listening to a framework.
+     *
+     * @return {boolean} True if started and not stopped.
+    **/
+    this.isRunning = function () {
+        return running;
+    };
+
+    /**
+     * Get the file rows are currently written to.
+     *
+     * @return {String} The full path of the current log file or null if no
+     *      file has been started.
+    **/
+    this.getCurrentFile = function () {
+        return currentFile;
+    };
+}
+
+
+exports.validateOptions = validateOptions;
+exports.DataLogger = DataLogger;
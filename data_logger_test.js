@@ -0,0 +1,267 @@
+/**
+ * Automated tests for logging refreshed values to files.
+ *
+ * @author: Chris Johnson (LabJack, 2014)
+ * @author: Sam Pottinger (LabJack, 2014)
+**/
+
+
+var dict = require('dict');
+var rewire = require('rewire');
+
+var data_logger = rewire('./data_logger.js');
+
+
+/**
+ * Create a fake fs_facade that keeps files in memory.
+ *
+ * @param {Object} files Object that file contents should be saved in by path.
+ * @return {Object} Object with the fs_facade functions used by the logger.
+**/
+function createFakeFiles (files) {
+    return {
+        writeFile: function (location, contents, onError, onSuccess) {
+            files[location] = contents;
+            onSuccess();
+        },
+        appendFile: function (location, contents, onError, onSuccess) {
+            files[location] = (files[location] || '') + contents;
+            onSuccess();
+        }
+    };
+}
+
+
+module.exports = {
+    setUp: function (callback) {
+        this.files = {};
+        data_logger.__set__('fs_facade', createFakeFiles(this.files));
+        callback();
+    },
+
+    testValidateOptions: function (test) {
+        test.deepEqual(data_logger.validateOptions({directory: 'logs'}), []);
+        test.deepEqual(data_logger.validateOptions({
+            format: 'xml',
+            registers: [],
+            maxBytes: -1
+        }), [
+            'Logger missing directory',
+            'Logger has invalid format xml',
+            'Logger has invalid registers',
+            'Logger has invalid maxBytes'
+        ]);
+        test.done();
+    },
+
+    testLogCSV: function (test) {
+        var self = this;
+        var logger = new data_logger.DataLogger({
+            directory: 'logs',
+            registers: ['AIN0', 'DEVICE_NAME_DEFAULT']
+        });
+
+        logger.logValues(
+            dict({AIN0: 1.5, AIN1: 2, DEVICE_NAME_DEFAULT: 'My "T7", lab'}),
+            0
+        );
+        logger.logValues(dict({AIN1: 3}), 1000).then(function () {
+            test.equal(
+                logger.getCurrentFile(),
+                'logs/log_1970-01-01T00-00-00-000Z_1.csv'
+            );
+            test.deepEqual(self.files, {
+                'logs/log_1970-01-01T00-00-00-000Z_1.csv':
+                    'time,AIN0,DEVICE_NAME_DEFAULT\n' +
+                    '1970-01-01T00:00:00.000Z,1.5,"My ""T7"", lab"\n' +
+                    '1970-01-01T00:00:01.000Z,,\n'
+            });
+            test.done();
+        });
+    },
+
+    testLogNDJSON: function (test) {
+        var self = this;
+        var logger = new data_logger.DataLogger({
+            directory: 'logs',
+            baseName: 'ain',
+            format: 'ndjson'
+        });
+
+        logger.logValues(dict({AIN0: 1, AIN1: 2}), 0).then(function () {
+            test.deepEqual(self.files, {
+                'logs/ain_1970-01-01T00-00-00-000Z_1.ndjson':
+                    '{"time":"1970-01-01T00:00:00.000Z","AIN0":1,"AIN1":2}\n'
+            });
+            test.done();
+        });
+    },
+
+    testLogRegisterAddresses: function (test) {
+        var self = this;
+        var logger = new data_logger.DataLogger({
+            directory: 'logs',
+            registers: [2, 46100]
+        });
+
+        logger.logValues(dict({AIN1: 1.5, '46100': 7}), 0).then(function () {
+            test.deepEqual(self.files, {
+                'logs/log_1970-01-01T00-00-00-000Z_1.csv':
+                    'time,AIN1,46100\n' +
+                    '1970-01-01T00:00:00.000Z,1.5,7\n'
+            });
+            test.done();
+        });
+    },
+
+    testLogNewRegistersCSV: function (test) {
+        var self = this;
+        var logger = new data_logger.DataLogger({directory: 'logs'});
+
+        logger.logValues(dict({AIN0: 1}), 0);
+        logger.logValues(dict({AIN0: 2}), 1000);
+        logger.logValues(dict({AIN0: 3, AIN1: 4}), 2000);
+        logger.logValues(dict({AIN1: 5}), 3000).then(function () {
+            test.deepEqual(self.files, {
+                'logs/log_1970-01-01T00-00-00-000Z_1.csv':
+                    'time,AIN0\n' +
+                    '1970-01-01T00:00:00.000Z,1\n' +
+                    '1970-01-01T00:00:01.000Z,2\n',
+                'logs/log_1970-01-01T00-00-02-000Z_2.csv':
+                    'time,AIN0,AIN1\n' +
+                    '1970-01-01T00:00:02.000Z,3,4\n' +
+                    '1970-01-01T00:00:03.000Z,,5\n'
+            });
+            test.done();
+        });
+    },
+
+    testLogNewRegistersNDJSON: function (test) {
+        var self = this;
+        var logger = new data_logger.DataLogger({
+            directory: 'logs',
+            format: 'ndjson'
+        });
+
+        logger.logValues(dict({AIN0: 1}), 0);
+        logger.logValues(dict({AIN1: 2}), 1000).then(function () {
+            test.deepEqual(self.files, {
+                'logs/log_1970-01-01T00-00-00-000Z_1.ndjson':
+                    '{"time":"1970-01-01T00:00:00.000Z","AIN0":1}\n' +
+                    '{"time":"1970-01-01T00:00:01.000Z","AIN1":2}\n'
+            });
+            test.done();
+        });
+    },
+
+    testRotateBySize: function (test) {
+        var self = this;
+        var logger = new data_logger.DataLogger({
+            directory: 'logs',
+            registers: ['AIN0'],
+            maxBytes: 60
+        });
+
+        logger.logValues(dict({AIN0: 1}), 0);
+        logger.logValues(dict({AIN0: 2}), 1000);
+        logger.logValues(dict({AIN0: 3}), 2000).then(function () {
+            test.deepEqual(self.files, {
+                'logs/log_1970-01-01T00-00-00-000Z_1.csv':
+                    'time,AIN0\n' +
+                    '1970-01-01T00:00:00.000Z,1\n',
+                'logs/log_1970-01-01T00-00-01-000Z_2.csv':
+                    'time,AIN0\n' +
+                    '1970-01-01T00:00:01.000Z,2\n',
+                'logs/log_1970-01-01T00-00-02-000Z_3.csv':
+                    'time,AIN0\n' +
+                    '1970-01-01T00:00:02.000Z,3\n'
+            });
+            test.done();
+        });
+    },
+
+    testRotateByTime: function (test) {
+        var self = this;
+        var logger = new data_logger.DataLogger({
+            directory: 'logs',
+            registers: ['AIN0'],
+            format: 'ndjson',
+            maxAge: 60000
+        });
+
+        logger.logValues(dict({AIN0: 1}), 0);
+        logger.logValues(dict({AIN0: 2}), 59999);
+        logger.logValues(dict({AIN0: 3}), 60000).then(function () {
+            test.deepEqual(Object.keys(self.files), [
+                'logs/log_1970-01-01T00-00-00-000Z_1.ndjson',
+                'logs/log_1970-01-01T00-01-00-000Z_2.ndjson'
+            ]);
+            test.equal(
+                self.files['logs/log_1970-01-01T00-00-00-000Z_1.ndjson']
+                    .split('\n').length,
+                3
+            );
+            test.done();
+        });
+    },
+
+    testWriteError: function (test) {
+        var errors = [];
+        data_logger.__set__('fs_facade', {
+            writeFile: function (location, contents, onError, onSuccess) {
+                onError('disk full');
+            }
+        });
+
+        var logger = new data_logger.DataLogger({
+            directory: 'logs',
+            onError: function (err) { errors.push(err); }
+        });
+
+        logger.logValues(dict({AIN0: 1}), 0).fail(function (err) {
+            test.equal(err, 'disk full');
+            return logger.stop();
+        })
+        .then(function () {
+            test.deepEqual(errors, ['disk full']);
+            test.done();
+        });
+    },
+
+    testStartStop: function (test) {
+        var self = this;
+        var listeners = [];
+        var fakeFramework = {
+            on: function (name, listener) {
+                listeners.push({name: name, listener: listener});
+            },
+            off: function (name, listener) {
+                listeners = listeners.filter(function (info) {
+                    return info.name !== name || info.listener !== listener;
+                });
+            }
+        };
+        var logger = new data_logger.DataLogger({directory: 'logs'});
+
+        logger.start(fakeFramework);
+        test.ok(logger.isRunning());
+        test.equal(listeners.length, 1);
+        test.equal(listeners[0].name, 'onRefreshed');
+
+        listeners[0].listener(
+            fakeFramework,
+            dict({AIN0: 1}),
+            function () { test.ok(false); },
+            function () {
+                logger.stop().then(function () {
+                    test.ok(!logger.isRunning());
+                    test.equal(listeners.length, 0);
+                    test.equal(logger.getCurrentFile(), null);
+                    test.equal(Object.keys(self.files).length, 1);
+                    test.done();
+                });
+            }
+        );
+    }
+
+};
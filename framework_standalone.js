@@ -26,6 +26,22 @@ function fireAndResolve (event, environment, deferred) {
 }
 
 
+/**
+ * Give the framework the device requirements from the module's module.json.
+ *
+ * Does nothing until the environment has both a framework and module
+ * information so that prepareFramework and loadModuleInfo may run in either
+ * order.
+ *
+ * @param {Object} environment The environment information object with the
+ *      framework and module information.
+**/
+function applyDeviceRequirements (environment) {
+    if (environment.framework && environment.moduleInfo)
+        environment.framework.setDeviceRequirements(environment.moduleInfo);
+}
+
+
 /**
  * Add a presenter framework to the given environment.
  *
@@ -36,6 +52,8 @@ function fireAndResolve (event, environment, deferred) {
 function prepareFramework (environment) {
     var deferred = q.defer();
     environment.framework = new presenter_framework.Framework();
+    environment.framework.setModuleName(environment.moduleName);
+    applyDeviceRequirements(environment);
     deferred.resolve(environment);
     return deferred.promise;
 }
@@ -57,6 +75,7 @@ function loadModuleInfo (environment) {
         deferred.reject,
         function (info) {
             environment.moduleInfo = info;
+            applyDeviceRequirements(environment);
             deferred.resolve(environment);
         }
     );
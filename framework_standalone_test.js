@@ -69,6 +69,30 @@ module.exports = {
         });
     },
 
+    testLoadModuleInfoDeviceRequirements: function (test) {
+        var requirements = null;
+        var testModuleInfo = {name: 'test-name', supportedDevices: ['T7']};
+        var testEnvironment = {
+            framework: {
+                setDeviceRequirements: function (moduleInfo) {
+                    requirements = moduleInfo;
+                }
+            }
+        };
+
+        framework_standalone.__set__('fs_facade', {
+            getModuleInfo: function (name, onError, onSuccess) {
+                onSuccess(testModuleInfo);
+            }
+        });
+
+        framework_standalone.loadModuleInfo(testEnvironment)
+        .then(function (environment) {
+            test.deepEqual(requirements, testModuleInfo);
+            test.done();
+        });
+    },
+
     testLoadModuleLogic: function (test) {
         var testModuleName = 'test-name';
         var providedLocalLoc;
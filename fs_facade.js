@@ -251,14 +251,25 @@ exports.getJSON = function(location, onError, onSuccess)
             fs.readFile(location, 'utf8',
                 function (error, contents)
                 {
+                    var decoded;
+
                     if (error)
                     {
                         onError(error);
+                        return;
                     }
-                    else
+
+                    try
                     {
-                        onSuccess(JSON.parse(contents));
+                        decoded = JSON.parse(contents);
+                    }
+                    catch (parseError)
+                    {
+                        onError(parseError);
+                        return;
                     }
+
+                    onSuccess(decoded);
                 }
             );
         }
@@ -271,3 +282,101 @@ exports.getJSON = function(location, onError, onSuccess)
         }
     });
 };
+
+
+/**
+ * Determine if a file exists.
+ *
+ * @param {String} location The full path of the file to check.
+ * @param {function} onSuccess The function to call after the check finishes.
+ *      The only function parameter should be for the boolean indicating if the
+ *      file exists.
+**/
+exports.exists = function(location, onSuccess)
+{
+    fs.exists(location, onSuccess);
+};
+
+
+/**
+ * Convienence function to encode and save a JSON file.
+ *
+ * @param {String} location The full path of the JSON file to write.
+ * @param {Object} contents The Array or Object to encode and save.
+ * @param {function} onError The function to call if an error is encountered
+ *      while writing this JSON file.
+ * @param {function} onSuccess The function to call after the JSON has been
+ *      successfully saved.
+**/
+exports.saveJSON = function(location, contents, onError, onSuccess)
+{
+    fs.writeFile(location, JSON.stringify(contents, null, 4), 'utf8',
+        function (error)
+        {
+            if (error)
+            {
+                onError(error);
+            }
+            else
+            {
+                onSuccess();
+            }
+        }
+    );
+};
+
+
+/**
+ * Write text to a file, replacing the file if it already exists.
+ *
+ * @param {String} location The full path of the file to write.
+ * @param {String} contents The text to write.
+ * @param {function} onError The function to call if an error is encountered
+ *      while writing the file.
+ * @param {function} onSuccess The function to call after the file has been
+ *      successfully written.
+**/
+exports.writeFile = function(location, contents, onError, onSuccess)
+{
+    fs.writeFile(location, contents, 'utf8',
+        function (error)
+        {
+            if (error)
+            {
+                onError(error);
+            }
+            else
+            {
+                onSuccess();
+            }
+        }
+    );
+};
+
+
+/**
+ * Add text to the end of a file, creating the file if it does not exist.
+ *
+ * @param {String} location The full path of the file to append to.
+ * @param {String} contents The text to append.
+ * @param {function} onError The function to call if an error is encountered
+ *      while writing the file.
+ * @param {function} onSuccess The function to call after the text has been
+ *      successfully appended.
+**/
+exports.appendFile = function(location, contents, onError, onSuccess)
+{
+    fs.appendFile(location, contents, 'utf8',
+        function (error)
+        {
+            if (error)
+            {
+                onError(error);
+            }
+            else
+            {
+                onSuccess();
+            }
+        }
+    );
+};
@@ -0,0 +1,274 @@
+/**
+ * Rolling time-series charts of register values for a module's view.
+ *
+ * @author: Chris Johnson (LabJack, 2014)
+ * @author: Sam Pottinger (LabJack, 2014)
+**/
+
+var DEFAULT_WINDOW = 10000;
+var DEFAULT_MAX_SAMPLES = 1000;
+var DEFAULT_WIDTH = 300;
+var DEFAULT_HEIGHT = 100;
+var CHART_CLASS = 'live-chart';
+var SERIES_CLASS = 'live-chart-series';
+var COORDINATE_DECIMALS = 2;
+
+
+/**
+ * Fixed size buffer that replaces its oldest items once it is full.
+ *
+ * @param {int} capacity The largest number of items the buffer holds.
+**/
+function RingBuffer (capacity) {
+
+    var items = [];
+    var start = 0;
+
+    /**
+     * Add an item to the end of the buffer.
+     *
+     * @param {Object} item The item to add. If the buffer is full, the oldest
+     *      item is dropped to make room for it.
+    **/
+    this.push = function (item) {
+        if (items.length < capacity) {
+            items.push(item);
+            return;
+        }
+
+        items[start] = item;
+        start = (start + 1) % capacity;
+    };
+
+    /**
+     * Remove items from the start of the buffer.
+     *
+     * @param {int} count The number of oldest items to remove.
+    **/
+    this.dropOldest = function (count) {
+        var ordered = this.toArray();
+        items = ordered.slice(count);
+        start = 0;
+    };
+
+    /**
+     * Get the items in the buffer.
+     *
+     * @return {Array} The items from oldest to newest.
+    **/
+    this.toArray = function () {
+        return items.slice(start).concat(items.slice(0, start));
+    };
+
+    /**
+     * Determine how many items are in the buffer.
+     *
+     * @return {int} The number of items currently held.
+    **/
+    this.size = function () {
+        return items.length;
+    };
+
+    /**
+     * Remove all of the items from the buffer.
+    **/
+    this.clear = function () {
+        items = [];
+        start = 0;
+    };
+}
+
+
+/**
+ * Round a chart coordinate to keep the generated SVG small.
+ *
+ * @param {Number} value The coordinate to round.
+ * @return {Number} The coordinate rounded to COORDINATE_DECIMALS places.
+**/
+function roundCoordinate (value) {
+    var factor = Math.pow(10, COORDINATE_DECIMALS);
+    return Math.round(value * factor) / factor;
+}
+
+
+/**
+ * Chart of the latest values of one or more registers over a time window.
+ *
+ * @param {Object} options Object describing the chart with the following
+ *      attributes:
+ *      <ul>
+ *        <li>{Array} series: The names of the registers to plot.</li>
+ *        <li>{int} window: Number of milliseconds of samples to show.
+ *              Optional. Defaults to 10 seconds.</li>
+ *        <li>{int} maxSamples: Largest number of samples kept per series.
+ *              Optional. Defaults to 1000.</li>
+ *        <li>{int} width: Width of the chart in SVG units. Optional.</li>
+ *        <li>{int} height: Height of the chart in SVG units. Optional.</li>
+ *        <li>{Number} min: Value at the bottom of the chart. Optional.
+ *              Defaults to the smallest value shown.</li>
+ *        <li>{Number} max: Value at the top of the chart. Optional.
+ *              Defaults to the largest value shown.</li>
+ *      </ul>
+**/
+function LiveChart (options) {
+
+    var series = options.series;
+    var timeWindow = options.window || DEFAULT_WINDOW;
+    var maxSamples = options.maxSamples || DEFAULT_MAX_SAMPLES;
+    var width = options.width || DEFAULT_WIDTH;
+    var height = options.height || DEFAULT_HEIGHT;
+    var paused = false;
+    var latestTime = null;
+
+    var buffers = series.map(function () {
+        return new RingBuffer(maxSamples);
+    });
+
+    /**
+     * Drop samples that have moved out of the chart's time window.
+     *
+     * @param {RingBuffer} buffer The samples of a series.
+    **/
+    var trimWindow = function (buffer) {
+        var samples = buffer.toArray();
+        var numOld = 0;
+        while (numOld < samples.length &&
+            samples[numOld].time < latestTime - timeWindow) {
+            numOld++;
+        }
+        if (numOld > 0)
+            buffer.dropOldest(numOld);
+    };
+
+    /**
+     * Record the values of the chart's series at a point in time.
+     *
+     * Ignored while the chart is paused. Series without a numeric value are
+     * not recorded for this time.
+     *
+     * @param {int} time The time of the values in milliseconds.
+     * @param {Object} values Object mapping series names to their values.
+    **/
+    this.addSample = function (time, values) {
+        if (paused)
+            return;
+
+        latestTime = time;
+        series.forEach(function (name, i) {
+            var value = values[name];
+            if (typeof value === 'number' && isFinite(value))
+                buffers[i].push({time: time, value: value});
+            trimWindow(buffers[i]);
+        });
+    };
+
+    /**
+     * Get the samples recorded for a series.
+     *
+     * @param {String} name The name of the series.
+     * @return {Array} Array of Object with time and value attributes from
+     *      oldest to newest. Empty if the chart has no such series.
+    **/
+    this.getSamples = function (name) {
+        var index = series.indexOf(name);
+        if (index == -1)
+            return [];
+        return buffers[index].toArray();
+    };
+
+    /**
+     * Stop recording samples without clearing those already recorded.
+    **/
+    this.pause = function () {
+        paused = true;
+    };
+
+    /**
+     * Start recording samples again after pause.
+    **/
+    this.resume = function () {
+        paused = false;
+    };
+
+    /**
+     * Determine if the chart is paused.
+     *
+     * @return {boolean} True if samples are not being recorded.
+    **/
+    this.isPaused = function () {
+        return paused;
+    };
+
+    /**
+     * Remove all of the recorded samples.
+    **/
+    this.clear = function () {
+        buffers.forEach(function (buffer) { buffer.clear(); });
+        latestTime = null;
+    };
+
+    /**
+     * Find the range of values the chart should show.
+     *
+     * @return {Object} Object with min and max attributes.
+    **/
+    var getValueRange = function () {
+        var min = options.min;
+        var max = options.max;
+        buffers.forEach(function (buffer) {
+            buffer.toArray().forEach(function (sample) {
+                if (options.min === undefined &&
+                    (min === undefined || sample.value < min)) {
+                    min = sample.value;
+                }
+                if (options.max === undefined &&
+                    (max === undefined || sample.value > max)) {
+                    max = sample.value;
+                }
+            });
+        });
+
+        // Give flat lines some room so they are drawn mid-chart
+        if (min === max) {
+            min -= 1;
+            max += 1;
+        }
+        return {min: min, max: max};
+    };
+
+    /**
+     * Render the chart as SVG markup.
+     *
+     * Each series is drawn as a polyline with the live-chart-series class, a
+     * live-chart-series-N class giving its position in the series list, and
+     * a data-series attribute with its name. The newest sample is at the
+     * right edge of the chart.
+     *
+     * @return {String} SVG element with a polyline for each series.
+    **/
+    this.render = function () {
+        var range = getValueRange();
+        var start = latestTime === null ? 0 : latestTime - timeWindow;
+
+        var polylines = series.map(function (name, i) {
+            var points = buffers[i].toArray().map(function (sample) {
+                var x = (sample.time - start) / timeWindow * width;
+                var y = (range.max - sample.value) /
+                    (range.max - range.min) * height;
+                return roundCoordinate(x) + ',' + roundCoordinate(y);
+            });
+
+            return '<polyline class="' + SERIES_CLASS + ' ' + SERIES_CLASS +
+                '-' + i + '" data-series="' + name + '" fill="none" ' +
+                'points="' + points.join(' ') + '"/>';
+        });
+
+        return '<svg class="' + CHART_CLASS + '" viewBox="0 0 ' + width +
+            ' ' + height + '" preserveAspectRatio="none">' +
+            polylines.join('') + '</svg>';
+    };
+}
+
+
+exports.RingBuffer = RingBuffer;
+exports.LiveChart = LiveChart;
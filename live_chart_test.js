@@ -0,0 +1,94 @@
+/**
+ * Automated tests for live register charts.
+ *
+ * @author: Chris Johnson (LabJack, 2014)
+ * @author: Sam Pottinger (LabJack, 2014)
+**/
+
+
+var live_chart = require('./live_chart');
+
+
+module.exports = {
+
+    testRingBufferWraps: function (test) {
+        var buffer = new live_chart.RingBuffer(3);
+        [1, 2, 3, 4, 5].forEach(function (item) { buffer.push(item); });
+        test.deepEqual(buffer.toArray(), [3, 4, 5]);
+        test.equal(buffer.size(), 3);
+
+        buffer.dropOldest(2);
+        test.deepEqual(buffer.toArray(), [5]);
+
+        buffer.push(6);
+        buffer.clear();
+        test.equal(buffer.size(), 0);
+        test.done();
+    },
+
+    testAddSampleWindow: function (test) {
+        var chart = new live_chart.LiveChart({
+            series: ['AIN0', 'AIN1'],
+            window: 1000,
+            maxSamples: 3
+        });
+
+        chart.addSample(0, {AIN0: 1, AIN1: 2});
+        chart.addSample(500, {AIN0: 3});
+        chart.addSample(1200, {AIN0: 5, AIN1: 6});
+        test.deepEqual(chart.getSamples('AIN0'), [
+            {time: 500, value: 3},
+            {time: 1200, value: 5}
+        ]);
+        test.deepEqual(chart.getSamples('AIN1'), [{time: 1200, value: 6}]);
+
+        chart.addSample(1300, {AIN0: 7});
+        chart.addSample(1400, {AIN0: 9});
+        test.deepEqual(chart.getSamples('AIN0').map(function (sample) {
+            return sample.value;
+        }), [5, 7, 9]);
+        test.deepEqual(chart.getSamples('AIN2'), []);
+        test.done();
+    },
+
+    testPauseResume: function (test) {
+        var chart = new live_chart.LiveChart({series: ['AIN0']});
+
+        chart.addSample(0, {AIN0: 1});
+        chart.pause();
+        chart.addSample(100, {AIN0: 2});
+        test.ok(chart.isPaused());
+        test.equal(chart.getSamples('AIN0').length, 1);
+
+        chart.resume();
+        chart.addSample(200, {AIN0: 3});
+        test.equal(chart.getSamples('AIN0').length, 2);
+        test.done();
+    },
+
+    testRender: function (test) {
+        var chart = new live_chart.LiveChart({
+            series: ['AIN0', 'AIN1'],
+            window: 1000,
+            width: 100,
+            height: 10,
+            min: 0,
+            max: 10
+        });
+
+        chart.addSample(500, {AIN0: 0, AIN1: 10});
+        chart.addSample(1000, {AIN0: 2.5, AIN1: 5});
+        test.equal(
+            chart.render(),
+            '<svg class="live-chart" viewBox="0 0 100 10" ' +
+            'preserveAspectRatio="none">' +
+            '<polyline class="live-chart-series live-chart-series-0" ' +
+            'data-series="AIN0" fill="none" points="50,10 100,7.5"/>' +
+            '<polyline class="live-chart-series live-chart-series-1" ' +
+            'data-series="AIN1" fill="none" points="50,0 100,5"/>' +
+            '</svg>'
+        );
+        test.done();
+    }
+
+};
@@ -5,16 +5,57 @@
  * @author: Sam Pottinger (LabJack, 2014)
 **/
 
+var path = require('path');
+
 var async = require('async');
 var dict = require('dict');
 var q = require('q');
 
+var extend = require('node.extend');
 var ljmmm_parse = require('ljmmm-parse');
 
+var binding_validator = require('./binding_validator');
+var data_logger = require('./data_logger');
 var fs_facade = require('./fs_facade');
+var live_chart = require('./live_chart');
+var register_map = require('./register_map');
+var session_recorder = require('./session_recorder');
+var value_formatters = require('./value_formatters');
+var value_parsers = require('./value_parsers');
+var write_queue = require('./write_queue');
 
 var DEFAULT_REFRESH_RATE = 1000;
 var DEVICE_VIEW_TARGET = '#device-view';
+var DEVICE_SELECTOR_TARGET = '#device-selector';
+var DEVICE_SELECTOR_TEMPLATE = path.join(__dirname, 'device_selector.html');
+var DEVICE_SELECTOR_INPUTS = '.device-selection-radio';
+var DEVICE_SELECTION_MODES = ['single', 'multiple'];
+var DEVICE_SELECTION_STORE = 'device_selection.json';
+var BINDINGS_FILE = 'bindings.json';
+var INVALID_INPUT_CLASS = 'invalid-input';
+var FLOAT_CONFIRM_TOLERANCE = 1e-6;
+var STALE_VALUE_CLASS = 'stale-value';
+var LAST_GOOD_ATTR = 'data-last-good';
+var DEFAULT_READ_RETRY_POLICY = {
+    retries: 2,
+    initialDelay: 50,
+    backoffFactor: 2,
+    maxDelay: 1000,
+    maxConsecutiveFailures: 5
+};
+var CHART_FIELDS = [
+    'class',
+    'template',
+    'period',
+    'group',
+    'series',
+    'window',
+    'maxSamples',
+    'width',
+    'height',
+    'min',
+    'max'
+];
 
 function JQueryWrapper (origJQuery) {
     this.html = function (selector, newHTML) {
@@ -29,8 +70,49 @@ function JQueryWrapper (origJQuery) {
         return $(selector);
     };
 
-    this.val = function (selector) {
-        return $(selector).val();
+    this.exists = function (selector) {
+        return $(selector).length > 0;
+    };
+
+    this.getSelectedSerials = function () {
+        return $(DEVICE_SELECTOR_INPUTS + ':checked').map(function () {
+            return this.value;
+        }).get();
+    };
+
+    this.val = function (selector, newVal) {
+        if (newVal === undefined)
+            return $(selector).val();
+        else
+            $(selector).val(newVal);
+    };
+
+    this.off = function (selector, event) {
+        $(selector).off(event);
+    };
+
+    this.addClass = function (selector, className) {
+        $(selector).addClass(className);
+    };
+
+    this.removeClass = function (selector, className) {
+        $(selector).removeClass(className);
+    };
+
+    this.attr = function (selector, name, value) {
+        $(selector).attr(name, value);
+    };
+
+    this.prop = function (selector, name, value) {
+        $(selector).prop(name, value);
+    };
+
+    this.css = function (selector, name, value) {
+        $(selector).css(name, value);
+    };
+
+    this.toggleClass = function (selector, className, state) {
+        $(selector).toggleClass(className, state);
     };
 }
 
@@ -41,8 +123,8 @@ function JQueryWrapper (origJQuery) {
  * Creates a new binding info object, a structure with all of the information
  * necessary to bind a piece of the module GUI to a register / registers on
  * a LabJack device. This will copy the "metadata" from an existing binding
- * into a new one. Namely, it will re-use original's class, direction, and
- * event attributes but add in new binding and template values.
+ * into a new one. Namely, it will re-use all of original's attributes (class,
+ * direction, event, period, etc) but add in new binding and template values.
  * 
  * @param {Object} orginal The object with the original binding information.
  * @param {String} binding The register name to bind the GUI element(s) to.
@@ -59,13 +141,94 @@ function JQueryWrapper (origJQuery) {
  * @return {Object} New binding.
 **/
 function cloneBindingInfo (original, binding, template) {
-    return {
-        class: original.class,
+    return extend({}, original, {
         template: template,
-        binding: binding,
-        direction: original.direction,
-        event: original.event
-    };
+        binding: binding
+    });
+}
+
+
+/**
+ * Get the name or address used to read and write a register.
+ *
+ * Bindings that give a known register by address use the register's name so
+ * that they share values with bindings that give the same register by name.
+ *
+ * @param {Object} register The register name or address from a binding.
+ * @param {String} dataType The binding's dataType attribute.
+ * @return {Object} The register's name or, for addresses not in the register
+ *      map, its address as a Number. The given register if it cannot be
+ *      resolved.
+**/
+function getRegisterKey (register, dataType) {
+    var description = register_map.resolveRegister(register, dataType);
+    return description === null ? register : description.key;
+}
+
+
+/**
+ * Get the register given to a device's read, readMany, and write functions.
+ *
+ * Devices cannot look up the type of an address that is not in the register
+ * map, so those addresses are given along with the binding's dataType.
+ *
+ * @param {Object} register The register name or address from a binding.
+ * @param {String} dataType The binding's dataType attribute.
+ * @return {Object} The register's name or, for addresses not in the register
+ *      map, an Object with the address as a Number and the type like
+ *      "UINT32". The given register if it cannot be resolved.
+**/
+function getDeviceRegister (register, dataType) {
+    var description = register_map.resolveRegister(register, dataType);
+    if (description === null)
+        return register;
+    if (description.name === null)
+        return {address: description.address, type: description.type};
+    return description.key;
+}
+
+
+/**
+ * Get the registers a read binding needs to display its value.
+ *
+ * @param {Object} bindingInfo The binding to get the registers for.
+ * @return {Array} The sources of a derived binding or the binding's single
+ *      register as given in the binding.
+**/
+function getBindingSources (bindingInfo) {
+    if (bindingInfo.sources === undefined)
+        return [bindingInfo.binding];
+    return bindingInfo.sources;
+}
+
+
+/**
+ * Describe how a read binding displays its value in its element.
+ *
+ * @param {Object} bindingInfo The binding whose target attribute should be
+ *      described. See Framework.putConfigBinding.
+ * @return {Object} Object with a type attribute that is one of html, value,
+ *      checked, width, attr, class, or callback. Attr and class targets have
+ *      a name attribute, width targets have min and max attributes, and
+ *      callback targets have a callback attribute.
+**/
+function getRenderTarget (bindingInfo) {
+    var target = bindingInfo.target;
+    if (bindingInfo.direction === 'readwrite')
+        return {type: 'value'};
+    if (target === undefined)
+        return {type: 'html'};
+    if (typeof target === 'function')
+        return {type: 'callback', callback: target};
+    if (target === 'width')
+        return {type: 'width', min: 0, max: 100};
+    if (typeof target === 'string')
+        return {type: target};
+    if (target.attr !== undefined)
+        return {type: 'attr', name: target.attr};
+    if (target.class !== undefined)
+        return {type: 'class', name: target.class};
+    return {type: 'width', min: target.width.min, max: target.width.max};
 }
 
 
@@ -90,7 +253,13 @@ function cloneBindingInfo (original, binding, template) {
  *      with a single binding info object will be returned.
 **/
 function expandBindingInfo (bindingInfo) {
-    var expandedBindings = ljmmm_parse.expandLJMMMName(bindingInfo.binding);
+    // Derived bindings display a single value computed from all sources
+    if (bindingInfo.sources !== undefined)
+        return [bindingInfo];
+
+    var expandedBindings = ljmmm_parse.expandLJMMMName(
+        String(bindingInfo.binding)
+    );
     var expandedTemplates = ljmmm_parse.expandLJMMMName(bindingInfo.template);
 
     if (expandedBindings.length != expandedTemplates.length) {
@@ -112,36 +281,87 @@ function expandBindingInfo (bindingInfo) {
 }
 
 
+/**
+ * Ignore an error reported by the listeners of an informational event.
+ *
+ * Passed as the onErr callback when firing events whose listeners cannot
+ * change what the framework does next.
+**/
+function ignoreListenerError () {}
+
+
 /**
  * Object that manages the modules using the Kipling Module Framework.
 **/
 function Framework() {
 
-    // List of events that the framework handels
+    // List of events that the framework handels. Each event maps to the
+    // ordered list of listeners registered for it.
     var eventListener = dict({
-        onModuleLoad: null,
-        onDeviceSelection: null,
-        onTemplateLoaded: null,
-        onRegisterWrite: null,
-        onRegisterWritten: null,
-        onRefresh: null,
-        onRefreshed: null,
-        onCloseDevice: null,
-        onUnloadModule: null,
-        onLoadError: null,
-        onConfigError: null,
-        onRefreshError: null,
-        onExecutionError: function (params) { throw params; }
+        onModuleLoad: [],
+        onDeviceSelection: [],
+        onDeviceAdded: [],
+        onDeviceRemoved: [],
+        onTemplateLoaded: [],
+        onRegisterWrite: [],
+        onRegisterWritten: [],
+        onRegisterWriteError: [],
+        onValidationError: [],
+        onWriteConflict: [],
+        onRefresh: [],
+        onRefreshed: [],
+        onCloseDevice: [],
+        onUnloadModule: [],
+        onLoadError: [],
+        onLoadWarning: [],
+        onConfigError: [],
+        onRefreshError: [],
+        onRefreshRecovered: [],
+        onRefreshDeadlineMissed: [],
+        onExecutionError: []
     });
     this.eventListener = eventListener;
 
+    // Listeners used for an event only when the module did not register any
+    var defaultListeners = dict({
+        onExecutionError: function (params) { throw params; }
+    });
+
     var jquery = null;
     var refreshRate = DEFAULT_REFRESH_RATE;
     var configControls = [];
     var bindings = dict({});
     var readBindings = dict({});
     var writeBindings = dict({});
+    var pollingGroups = dict({});
+    var lastReadValues = dict({});
+    var editingBindings = dict({});
+    var writeTimers = dict({});
+    var lastWriteTimes = dict({});
+    var writeQueues = [];
+    var readRetryPolicy = extend({}, DEFAULT_READ_RETRY_POLICY);
+    var consecutiveReadFailures = 0;
+    var lastGoodReadTimes = dict({});
+    var staleBindings = dict({});
+    var pausedClasses = dict({});
+    var renderedValues = dict({});
+    var pendingRenders = dict({});
+    var renderFrameRequested = false;
+    var charts = dict({});
+    var dataLogger = null;
+    var sessionRecorder = null;
+    var disabledClasses = dict({});
+    var moduleName = null;
+    var deviceRequirements = {};
+    var devices = [];
+    var devicesListed = false;
     var selectedDevices = [];
+    var reconnectingSerials = [];
+    var loopPausedForReconnect = false;
+    var deviceSelectionMode = 'single';
+    var viewRendered = false;
+    var deviceView = null;
+    var lastValuesByDevice = dict({});
 
     this.jquery = jquery;
     this.refreshRate = refreshRate;
@@ -149,6 +369,7 @@ function Framework() {
     this.bindings = bindings;
     this.readBindings = readBindings;
     this.writeBindings = writeBindings;
+    this.pollingGroups = pollingGroups;
     this.selectedDevices = selectedDevices;
     this.runLoop = false;
 
@@ -165,44 +386,97 @@ function Framework() {
     };
 
     /**
-     * Set the callback that should be called for an event.
+     * Add a callback that should be called for an event.
      *
      * Indicate which function (callback) should be called when the framework
-     * encounters each event. Note that previous event listeners for that event
-     * will be cleared by calling this.
+     * encounters each event. Multiple listeners may be registered for the same
+     * event and will be called in the order in which they were added.
      *
      * @param {String} name The name of the event to register a callback for.
      * @param {function} listener The function to call when that event is
-     *      encountered. Should take a single argument: an object whose
-     *      attributes are parameters supplied to the event.
+     *      encountered. Will be called with the framework, the parameters
+     *      supplied to the event, and then onErr and onSuccess callbacks. The
+     *      listener must either call one of those two callbacks when it
+     *      finishes or return a promise that settles when it finishes.
     **/
     this.on = function (name, listener) {
         if (!eventListener.has(name)) {
             self.fire(
                 'onLoadError',
-                [ 'Config binding missing direction' ],
+                [ 'Unknown event ' + name ],
                 function (shouldContinue) { self.runLoop = shouldContinue; }
             );
             return;
         }
 
-        eventListener.set(name, listener);
+        eventListener.get(name).push(listener);
     };
     var on = this.on;
 
+    /**
+     * Remove a callback previously registered for an event.
+     *
+     * @param {String} name The name of the event to remove the callback from.
+     * @param {function} listener The function that was passed to on or once.
+     *      Optional. If not provided, all listeners for the event are removed.
+    **/
+    this.off = function (name, listener) {
+        if (!eventListener.has(name))
+            return;
+
+        if (!listener) {
+            eventListener.set(name, []);
+            return;
+        }
+
+        var remaining = eventListener.get(name).filter(function (candidate) {
+            return candidate !== listener && candidate.listener !== listener;
+        });
+        eventListener.set(name, remaining);
+    };
+    var off = this.off;
+
+    /**
+     * Add a callback that should only be called the next time an event fires.
+     *
+     * @param {String} name The name of the event to register a callback for.
+     * @param {function} listener The function to call when that event is next
+     *      encountered. See on for the arguments it receives.
+    **/
+    this.once = function (name, listener) {
+        var onceListener = function () {
+            self.off(name, onceListener);
+            return listener.apply(null, arguments);
+        };
+        onceListener.listener = listener;
+        self.on(name, onceListener);
+    };
+    var once = this.once;
+
     /**
      * Force-cause an event to occur through the framework.
      *
+     * Listeners are run one after the other in the order they were added. The
+     * next listener starts after the previous one calls its onSuccess callback
+     * or after the promise it returned resolves. If any listener calls its
+     * onErr callback or returns a promise that rejects, the remaining
+     * listeners are skipped and onErr is called with the same arguments.
+     *
      * @param {String} name The name of the event to fire.
      * @param {Object} params Object whose attributes should be used as
      *      parameters for the event.
      * @param {function} onErr Function to call if an error was encountered
      *      while running event listeneres. Optional.
-     * @param {function} onSuccess Function to call after the event listeners
-     *      finish running. Optional.
+     * @param {function} onSuccess Function to call after all of the event
+     *      listeners finish running. Optional.
+     * @return {q.promise} Promise that resolves after all of the event
+     *      listeners finish running and rejects if a listener encounters an
+     *      error. If onErr is given, the error is handled by onErr and is not
+     *      reported as an unhandled rejection when the promise is ignored.
     **/
     this.fire = function (name, params, onErr, onSuccess) {
         var noop = function () {};
+        var deferred = q.defer();
 
         if (!params)
             params = [];
@@ -210,26 +484,70 @@ function Framework() {
         if (!onSuccess)
             onSuccess = noop;
 
-        if (!onErr)
+        if (onErr)
+            deferred.promise.fail(noop);
+        else
             onErr = noop;
 
+        var reportError = function () {
+            onErr.apply(null, arguments);
+            deferred.reject(arguments[0]);
+        };
+
+        var reportSuccess = function () {
+            onSuccess.apply(null, arguments);
+            deferred.resolve(arguments[0]);
+        };
+
         if (!eventListener.has(name)) {
-            onSuccess();
-            return;
+            reportSuccess();
+            return deferred.promise;
         }
 
-        var listener = eventListener.get(name);
+        // Copy so listeners added or removed while firing do not run early
+        var listeners = eventListener.get(name).slice();
+        if (listeners.length == 0 && defaultListeners.has(name))
+            listeners.push(defaultListeners.get(name));
+
+        var numListeners = listeners.length;
+        var runListener = function (index) {
+            if (index >= numListeners) {
+                reportSuccess();
+                return;
+            }
+
+            // Listeners may both call back and return a promise. Only the
+            // first of those to finish counts.
+            var finished = false;
+            var listenerErr = function () {
+                if (finished)
+                    return;
+                finished = true;
+                reportError.apply(null, arguments);
+            };
+            var listenerSuccess = function () {
+                if (finished)
+                    return;
+                finished = true;
+                if (index + 1 >= numListeners)
+                    reportSuccess.apply(null, arguments);
+                else
+                    runListener(index + 1);
+            };
 
-        if (listener !== null) {
             var passParams = [];
             passParams.push(self);
             passParams.push.apply(passParams, params)
-            passParams.push(onErr);
-            passParams.push(onSuccess);
-            listener.apply(null, passParams);
-        } else {
-            onSuccess();
-        }
+            passParams.push(listenerErr);
+            passParams.push(listenerSuccess);
+            var result = listeners[index].apply(null, passParams);
+
+            if (result && typeof result.then === 'function')
+                result.then(listenerSuccess, listenerErr);
+        };
+
+        runListener(0);
+        return deferred.promise;
     };
     var fire = this.fire;
 
@@ -243,6 +561,69 @@ function Framework() {
     };
     var setRefreshRate = this.setRefreshRate;
 
+    /**
+     * Configure how the refresh loop handles failed reads.
+     *
+     * A failed read is retried with a delay that grows after each attempt.
+     * If all attempts fail, the elements of the bindings that could not be
+     * read are marked stale and the loop tries again on its next iteration.
+     * The loop stops after too many iterations fail in a row.
+     *
+     * @param {Object} newPolicy Object with any of the following attributes:
+     *      retries (number of extra attempts per iteration), initialDelay
+     *      (milliseconds before the first retry), backoffFactor (number the
+     *      delay is multiplied by after each retry), maxDelay (largest delay
+     *      in milliseconds), and maxConsecutiveFailures (number of failed
+     *      iterations in a row after which the loop stops). Attributes not
+     *      given keep their current values.
+    **/
+    this.setReadRetryPolicy = function (newPolicy) {
+        extend(readRetryPolicy, newPolicy);
+    };
+    var setReadRetryPolicy = this.setReadRetryPolicy;
+
+    /**
+     * Create or update a named group of bindings that share a refresh rate.
+     *
+     * Read bindings may name a polling group through their group attribute.
+     * Those bindings will be read from the device every period milliseconds
+     * instead of at the framework's refresh rate.
+     *
+     * @param {String} name The name of the polling group.
+     * @param {int} period The number of milliseconds between reads of the
+     *      bindings in this group.
+    **/
+    this.setPollingGroup = function (name, period) {
+        if (!isValidPeriod(period)) {
+            self.fire(
+                'onLoadError',
+                [ 'Polling group ' + name + ' has invalid period' ],
+                function (shouldContinue) { self.runLoop = shouldContinue; }
+            );
+            return;
+        }
+
+        self.pollingGroups.set(name, period);
+    };
+    var setPollingGroup = this.setPollingGroup;
+
+    var isValidPeriod = binding_validator.isValidPeriod;
+
+    /**
+     * Determine how frequently a read binding should be read from the device.
+     *
+     * @param {Object} bindingInfo The read binding to get the period for.
+     * @return {int} The number of milliseconds between reads of the binding.
+    **/
+    var getBindingPeriod = function (bindingInfo) {
+        if (bindingInfo.period !== undefined)
+            return bindingInfo.period;
+        if (bindingInfo.group !== undefined && self.pollingGroups.has(
+            bindingInfo.group))
+            return self.pollingGroups.get(bindingInfo.group);
+        return self.refreshRate;
+    };
+
     /**
      * Indicate which HTML controls should cause device configured to fire.
      *
@@ -262,6 +643,249 @@ function Framework() {
     };
     var setConfigControls = this.setConfigControls;
 
+    /**
+     * Indicate which module this framework is running.
+     *
+     * The module's name is used to find the module's directory, where the
+     * framework remembers the devices last selected for the module.
+     *
+     * @param {String} name The computer readable name of the module.
+    **/
+    this.setModuleName = function (name) {
+        moduleName = name;
+    };
+    var setModuleName = this.setModuleName;
+
+    /**
+     * Indicate which devices the module can run on.
+     *
+     * Takes the module's module.json contents, which may declare the following
+     * optional attributes:
+     *
+     * <ul>
+     *   <li>{Array} supportedDevices: The device types the module supports
+     *          like ["T7"].</li>
+     *   <li>{Object} minFirmware: The smallest firmware version the module
+     *          supports. Either a number for all device types or an object
+     *          mapping device type to version like {"T7": 1.0150}.</li>
+     *   <li>{Array} requiredRegisters: The names of registers the device must
+     *          support. See register_map.json. Names that are not in the
+     *          register map are not checked until the LJM constants are
+     *          loaded (see register_map.isComplete).</li>
+     * </ul>
+     *
+     * Devices that do not meet these requirements are disabled in the device
+     * selector and cannot be selected. If the framework already has its device
+     * list, onLoadError fires when none of the devices meet the requirements.
+     *
+     * @param {Object} moduleInfo The module's information as loaded from its
+     *      module.json file.
+    **/
+    this.setDeviceRequirements = function (moduleInfo) {
+        var problem = checkDeviceRequirements(moduleInfo);
+        if (problem !== null) {
+            self.fire(
+                'onLoadError',
+                [ problem ],
+                function (shouldContinue) { self.runLoop = shouldContinue; }
+            );
+            return;
+        }
+
+        deviceRequirements = {
+            supportedDevices: moduleInfo.supportedDevices,
+            minFirmware: moduleInfo.minFirmware,
+            requiredRegisters: moduleInfo.requiredRegisters
+        };
+        checkCompatibleDevices();
+    };
+    var setDeviceRequirements = this.setDeviceRequirements;
+
+    /**
+     * Report through onLoadError if no connected device can run the module.
+     *
+     * Nothing is reported until the framework has been given its device list
+     * through addDevice, removeDevice, or setDevices.
+     *
+     * @return {q.promise} Promise that resolves after the onLoadError
+     *      listeners finish or immediately if a compatible device is
+     *      connected.
+    **/
+    var checkCompatibleDevices = function () {
+        if (!devicesListed || devices.some(isCompatible))
+            return q();
+
+        return self.fire(
+            'onLoadError',
+            [ 'No connected device is compatible with this module.' ],
+            function (shouldContinue) { self.runLoop = shouldContinue; }
+        );
+    };
+
+    /**
+     * Check that the device requirements in a module.json file are well formed.
+     *
+     * @param {Object} moduleInfo The module information to check.
+     * @return {String} Description of the problem with the requirements or
+     *      null if they are valid.
+    **/
+    var checkDeviceRequirements = function (moduleInfo) {
+        var supportedDevices = moduleInfo.supportedDevices;
+        var validDevices = supportedDevices === undefined ||
+            supportedDevices instanceof Array;
+        if (!validDevices)
+            return 'Module supportedDevices must be an Array';
+
+        var minFirmware = moduleInfo.minFirmware;
+        var validFirmware = minFirmware === undefined ||
+            typeof minFirmware === 'number' ||
+            (minFirmware !== null && typeof minFirmware === 'object');
+        if (!validFirmware)
+            return 'Module minFirmware must be a number or an object';
+
+        var requiredRegisters = moduleInfo.requiredRegisters;
+        if (requiredRegisters === undefined)
+            return null;
+
+        if (!(requiredRegisters instanceof Array))
+            return 'Module requiredRegisters must be an Array';
+
+        var unknownRegisters = requiredRegisters.filter(function (name) {
+            return register_map.lookupRegister(name) === null;
+        });
+        if (unknownRegisters.length > 0 && register_map.isComplete()) {
+            return 'Module requires unknown registers ' +
+                unknownRegisters.join(', ');
+        }
+
+        return null;
+    };
+
+    /**
+     * Determine why a device cannot run the module.
+     *
+     * @param {Object} device The device to check against the module's device
+     *      requirements (see setDeviceRequirements).
+     * @return {String} Description of why the device is not supported or null
+     *      if the device is supported.
+    **/
+    var getIncompatibility = function (device) {
+        var deviceType = device.getDeviceType ? device.getDeviceType() : null;
+        var firmwareVersion = null;
+        if (device.getFirmwareVersion)
+            firmwareVersion = device.getFirmwareVersion();
+
+        var supportedDevices = deviceRequirements.supportedDevices;
+        if (supportedDevices && supportedDevices.indexOf(deviceType) == -1)
+            return 'Module requires a ' + supportedDevices.join(' or ');
+
+        var minFirmware = deviceRequirements.minFirmware;
+        if (minFirmware !== undefined && typeof minFirmware === 'object')
+            minFirmware = minFirmware[deviceType];
+        if (minFirmware !== undefined && firmwareVersion < minFirmware)
+            return 'Module requires firmware ' + minFirmware + ' or newer';
+
+        var requiredRegisters = deviceRequirements.requiredRegisters;
+        if (!requiredRegisters)
+            return null;
+
+        var missingRegisters = requiredRegisters.filter(function (name) {
+            var isKnown = register_map.lookupRegister(name) !== null;
+            if (!isKnown && !register_map.isComplete())
+                return false;
+            return !register_map.isSupported(name, deviceType, firmwareVersion);
+        });
+        if (missingRegisters.length > 0)
+            return 'Device does not support ' + missingRegisters.join(', ');
+
+        return null;
+    };
+
+    /**
+     * Determine if a device can run the module.
+     *
+     * @param {Object} device The device to check.
+     * @return {boolean} True if the device meets the module's requirements.
+    **/
+    var isCompatible = function (device) {
+        return getIncompatibility(device) === null;
+    };
+
+    /**
+     * Indicate if the user may select more than one device at a time.
+     *
+     * In multiple selection mode, the device selector shows checkboxes instead
+     * of radio buttons and the refresh loop reads from all of the selected
+     * devices in parallel. Bindings choose which of the selected devices they
+     * apply to through their devices attribute (see putConfigBinding).
+     *
+     * @param {String} mode Either "single" (the default) or "multiple".
+    **/
+    this.setDeviceSelectionMode = function (mode) {
+        if (DEVICE_SELECTION_MODES.indexOf(mode) == -1) {
+            self.fire(
+                'onLoadError',
+                [ 'Invalid device selection mode ' + mode ],
+                function (shouldContinue) { self.runLoop = shouldContinue; }
+            );
+            return;
+        }
+
+        deviceSelectionMode = mode;
+    };
+    var setDeviceSelectionMode = this.setDeviceSelectionMode;
+
+    /**
+     * Get the serial number of a device as a string.
+     *
+     * @param {Object} device The device to get the serial number for.
+     * @return {String} The device's serial number.
+    **/
+    var getSerial = function (device) {
+        return String(device.getSerial());
+    };
+
+    /**
+     * Determine which of the selected devices a binding applies to.
+     *
+     * @param {Object} bindingInfo The binding to get the devices for.
+     * @return {Array} The selected devices that the binding should read from or
+     *      write to.
+    **/
+    var getBindingDevices = function (bindingInfo) {
+        var scope = bindingInfo.devices;
+
+        if (scope === undefined) {
+            var primaryDevice = self.getSelectedDevice();
+            return primaryDevice === null ? [] : [primaryDevice];
+        }
+
+        if (scope === 'all')
+            return self.selectedDevices.slice();
+
+        return self.selectedDevices.filter(function (device) {
+            return getSerial(device) === String(scope);
+        });
+    };
+
+    /**
+     * Get the ID of the HTML element that shows a binding's value for a device.
+     *
+     * Bindings that apply to all selected devices display each device's value
+     * in its own element whose ID is the template followed by a dash and the
+     * device's serial number. For example, ain-0-display-470010103.
+     *
+     * @param {Object} bindingInfo The binding being displayed.
+     * @param {Object} device The device the value was read from.
+     * @return {String} The ID of the element to display the value in.
+    **/
+    var getElementId = function (bindingInfo, device) {
+        if (bindingInfo.devices === 'all')
+            return bindingInfo.template + '-' + getSerial(device);
+        else
+            return bindingInfo.template;
+    };
+
     /**
      * Register a new configuration binding.
      *
@@ -277,17 +901,96 @@ function Framework() {
      *   <li>{string} template: The ID of the HTML element to bind to. For
      *          example: ain-0-display or ain-#(0:1)-display.</li>
      *   <li>{string} binding: The name of the device register to bind to. For
-     *          exmaple: AIN0 or AIN#(0:1).</li>
+     *          exmaple: AIN0 or AIN#(0:1). Must name registers in the
+     *          register map (see register_map.js) that can be read for read
+     *          bindings and written for write bindings. May instead be the
+     *          Modbus address of the register like 2 or "46100". Addresses of
+     *          known registers share values with bindings that name the same
+     *          register. Not used by derived bindings.</li>
      *   <li>{string} direction: Either "read" for displaying a the value of a
      *          device register or "write" for having an HTML element set the
-     *          value of a device register. May also be "hybrid" which will
-     *          first read the current value of a register, display that, and
-     *          then update the value of that register on subsequent updates
-     *          from within the view.</li>
+     *          value of a device register. May also be "readwrite" which will
+     *          keep the input element's value up to date with the register
+     *          while the user is not editing it and write the register when
+     *          the user changes the value. If the register changes while the
+     *          user is editing, the onWriteConflict event fires before the
+     *          user's value is written.</li>
      *   <li>{string} event: The name of the event to bind to. Only required if
-     *          write or hybrid. For example, "change" would cause the value to
-     *          be written to the device each time an input box value is
+     *          write or readwrite. For example, "change" would cause the value
+     *          to be written to the device each time an input box value is
      *          changed.</li>
+     *   <li>{int} period: The number of milliseconds between reads of this
+     *          binding's register. Optional and only used for read bindings.
+     *          Defaults to the framework refresh rate.</li>
+     *   <li>{string} group: The name of a polling group (see
+     *          setPollingGroup) whose period should be used for this binding.
+     *          Optional and ignored if period is given.</li>
+     *   <li>{Object} formatter: Function or object describing how to turn
+     *          the raw register value into the value displayed for a read
+     *          binding. See value_formatters.formatValue. Optional.</li>
+     *   <li>{Object} validation: Object describing the type and range of
+     *          values the user may enter for a write binding. Values that fail
+     *          validation are not written to the device. See
+     *          value_parsers.parseValue. Optional.</li>
+     *   <li>{Object} parser: Function or object describing how to turn a
+     *          validated value into the value written to the register. See
+     *          value_parsers.parseValue. Optional.</li>
+     *   <li>{Object} confirmWrite: If true, the register is read back after
+     *          each write and the write is only considered successful if the
+     *          device reports the written value. May also be an object with
+     *          a tolerance attribute giving the largest allowed difference
+     *          between the written and read values. Optional.</li>
+     *   <li>{int} debounce: Number of milliseconds to wait after the last
+     *          event before writing. Only the value at the end of a burst of
+     *          events is written. Optional.</li>
+     *   <li>{int} throttle: Smallest number of milliseconds between writes
+     *          for this binding. Events that arrive too soon are combined into
+     *          a single write of the latest value. Optional.</li>
+     *   <li>{string} devices: Which of the selected devices the binding
+     *          applies to. If not given, only the first selected device is
+     *          used. May be "all" to read from and write to every selected
+     *          device or the serial number of a single device. Read bindings
+     *          for "all" display each device's value in the element whose ID
+     *          is the template followed by "-" and the device's serial
+     *          number. Optional.</li>
+     *   <li>{string} dataType: The type of the register: UINT16, UINT32,
+     *          INT32, FLOAT32, or STRING. Required for addresses that are not
+     *          in the register map and must match the register map otherwise.
+     *          Values written are converted to this type and rejected through
+     *          onValidationError if they do not fit. Addresses that are not in
+     *          the register map are given to the device's read, readMany, and
+     *          write functions as an Object with address and type attributes
+     *          like {address: 46100, type: "UINT32"}, so devices must accept
+     *          registers in this form. Optional.</li>
+     *   <li>{Array} sources: The registers, by name or address, that a
+     *          derived binding computes its value from. Given instead of
+     *          binding. Derived bindings must be read bindings and their
+     *          template must name a single element. Optional.</li>
+     *   <li>{function} compute: Function that takes an object mapping each
+     *          of the sources to the value read for it and the binding and
+     *          returns the value to display. Required for derived
+     *          bindings.</li>
+     *   <li>{function} condition: Function that takes the same parameters
+     *          as compute and returns false if the element should keep its
+     *          current value instead of displaying the new one. Plain read
+     *          bindings receive an object with just their register.
+     *          Optional and only used for read bindings.</li>
+     *   <li>{Object} target: How a read binding displays its value. May be
+     *          "html" to set the element's HTML (the default), "value" to
+     *          set an input's value, "checked" to check a checkbox when the
+     *          value is truthy, or "width" to set the element's CSS width to
+     *          the value as a percentage. May also be {attr: name} to set an
+     *          attribute to the value, {class: name} to add a CSS class when
+     *          the value is truthy and remove it otherwise, or
+     *          {width: {min: min, max: max}} to scale the value from the
+     *          given range to a percentage width. A function may also be
+     *          given and is called with the element's selector, the
+     *          formatted value, the raw value, and the binding. Formatters
+     *          are applied for every target but checked, class, and width
+     *          use the raw value. Optional.</li>
+     *   <li>{Number} deadband: Smallest change in a numeric value read from
+     *          the device that is displayed. Smaller changes leave the
+     *          element showing the earlier value. Optional.</li>
      * </ul>
      *
      * Note that template and binding can contain LJMMM strings. If they do,
@@ -295,6 +998,21 @@ function Framework() {
      * of analog-#(0:1)-display and binding of AIN#(0:1) will bind
      * analog-0-display to AIN0 and analog-1-display to AIN1.
      *
+     * The binding is checked before it is registered (see
+     * binding_validator.validateBinding). If it has any problems, nothing is
+     * registered and onLoadError fires with an object whose msg attribute
+     * describes all of the problems and whose errors attribute is an Array
+     * of Object with the field and message of each problem. Problems that are
+     * only warnings, like register names that are not found before the LJM
+     * constants are loaded (see register_map.isComplete), do not stop the
+     * binding from being registered and are reported through onLoadWarning
+     * in the same format instead. After the view
+     * has been rendered, templates must also match the ID of an element in
+     * the view. Registering a binding for a template that is already bound
+     * deletes the earlier binding (see deleteConfigBinding) before the new
+     * one is registered. Templates repeated within a single binding are
+     * reported as problems.
+     *
      * @param {Object} newBinding The binding information object (as described
      *      above) that should be registered.
     **/
@@ -303,50 +1021,24 @@ function Framework() {
             self.runLoop = shouldContinue;
         }
 
-        if (newBinding['class'] === undefined) {
-            self.fire(
-                'onLoadError',
-                [ 'Config binding missing class' ],
-                onErrorHandle
-            );
-            return;
-        }
-
-        if (newBinding['template'] === undefined) {
-            self.fire(
-                'onLoadError',
-                [ 'Config binding missing template' ],
-                onErrorHandle
-            );
-            return;
-        }
-
-        if (newBinding['binding'] === undefined) {
-            self.fire(
-                'onLoadError',
-                [ 'Config binding missing binding' ],
-                onErrorHandle
-            );
-            return;
-        }
-
-        if (newBinding['direction'] === undefined) {
+        var problems = binding_validator.validateBinding(
+            newBinding,
+            getValidationContext()
+        );
+        if (binding_validator.hasErrors(problems)) {
             self.fire(
                 'onLoadError',
-                [ 'Config binding missing direction' ],
+                [ describeBindingProblems(problems) ],
                 onErrorHandle
             );
             return;
         }
-
-        var isWrite = newBinding['direction'] === 'write';
-        if (isWrite && newBinding['event'] === undefined) {
+        if (problems.length > 0) {
             self.fire(
-                'onLoadError',
-                [ 'Config binding missing direction' ],
-                onErrorHandle
+                'onLoadWarning',
+                [ describeBindingProblems(problems) ],
+                ignoreListenerError
             );
-            return;
         }
 
         var expandedBindings = expandBindingInfo(newBinding);
@@ -357,34 +1049,377 @@ function Framework() {
             return;
         }
 
+        if (bindings.has(newBinding.template))
+            deleteConfigBinding(newBinding.template);
+
         bindings.set(newBinding.template, newBinding);
-        
 
-        var jquerySelector = '#' + newBinding.template;
         if (newBinding.direction === 'read') {
             readBindings.set(newBinding.template, newBinding);
         } else if (newBinding.direction === 'write') {
             writeBindings.set(newBinding.template, newBinding);
-            jquery.on(
-                jquerySelector,
-                newBinding.event,
-                function () { self._writeToDevice(newBinding); }
-            );
-        } else {
-            self.fire(
-                'onLoadError',
-                [ 'Config binding has invalid direction' ],
-                onErrorHandle
-            );
+        } else if (newBinding.direction === 'readwrite') {
+            readBindings.set(newBinding.template, newBinding);
+            writeBindings.set(newBinding.template, newBinding);
         }
+        attachBindingListeners(newBinding);
     };
     var putConfigBinding = this.putConfigBinding;
 
-    this._writeToDevice = function (bindingInfo) {
+    /**
+     * Listen for the events on a binding's element that write its value.
+     *
+     * @param {Object} bindingInfo The binding to listen for. Read bindings
+     *      have no listeners.
+    **/
+    var attachBindingListeners = function (bindingInfo) {
         var jquerySelector = '#' + bindingInfo.template;
-        var newVal = self.jquery.val(jquerySelector);
+        if (bindingInfo.direction === 'read')
+            return;
 
-        var alertRegisterWrite = function () {
+        jquery.on(
+            jquerySelector,
+            bindingInfo.event,
+            function () { scheduleWrite(bindingInfo); }
+        );
+
+        if (bindingInfo.direction === 'readwrite') {
+            jquery.on(
+                jquerySelector,
+                'focus',
+                function () { startEdit(bindingInfo); }
+            );
+            jquery.on(
+                jquerySelector,
+                'blur',
+                function () { finishEdit(bindingInfo); }
+            );
+        }
+    };
+
+    /**
+     * Stop listening for the events attached through attachBindingListeners.
+     *
+     * @param {Object} bindingInfo The binding to stop listening for.
+    **/
+    var detachBindingListeners = function (bindingInfo) {
+        var jquerySelector = '#' + bindingInfo.template;
+        if (bindingInfo.direction === 'read')
+            return;
+
+        jquery.off(jquerySelector, bindingInfo.event);
+        if (bindingInfo.direction === 'readwrite') {
+            jquery.off(jquerySelector, 'focus');
+            jquery.off(jquerySelector, 'blur');
+        }
+    };
+
+    /**
+     * Get the framework state that bindings are checked against.
+     *
+     * @return {Object} Context for binding_validator.validateBinding.
+    **/
+    var getValidationContext = function () {
+        return {
+            hasPollingGroup: function (name) {
+                return self.pollingGroups.has(name);
+            },
+            resolveRegister: register_map.resolveRegister,
+            registerMapComplete: register_map.isComplete(),
+            elementExists: viewRendered ? elementExists : null
+        };
+    };
+
+    /**
+     * Create the error reported through onLoadError for invalid bindings.
+     *
+     * @param {Array} problems The problems found by binding_validator.
+     * @return {Object} Object with a msg attribute describing all of the
+     *      problems and an errors attribute with the problems themselves.
+    **/
+    var describeBindingProblems = function (problems) {
+        var messages = problems.map(function (problem) {
+            return problem.message;
+        });
+        return { msg: messages.join('; '), errors: problems };
+    };
+
+    /**
+     * Get information about a device register.
+     *
+     * @param {String} name The name of the register like "AIN0".
+     * @return {Object} Object with the register's name, address, type,
+     *      readwrite access ("R", "W", or "RW"), and units if known. Null if
+     *      the register is not in the register map.
+    **/
+    this.getRegisterInfo = function (name) {
+        return register_map.lookupRegister(name);
+    };
+    var getRegisterInfo = this.getRegisterInfo;
+
+    /**
+     * Determine if the view has an element for a binding's template.
+     *
+     * @param {String} template The ID of the element to look for.
+     * @return {boolean} True if the element exists and false otherwise.
+    **/
+    var elementExists = function (template) {
+        return self.jquery.exists('#' + template);
+    };
+
+    /**
+     * Get the queue that reads and writes for a device should go through.
+     *
+     * @param {Object} device The device to get the queue for.
+     * @return {write_queue.WriteQueue} The queue for the device. Created if
+     *      the device does not have one yet.
+    **/
+    var getWriteQueue = function (device) {
+        var numQueues = writeQueues.length;
+        for (var i=0; i<numQueues; i++) {
+            if (writeQueues[i].device === device)
+                return writeQueues[i].queue;
+        }
+
+        var newQueue = new write_queue.WriteQueue();
+        writeQueues.push({device: device, queue: newQueue});
+        return newQueue;
+    };
+
+    /**
+     * Write a binding's value after applying its debounce or throttle.
+     *
+     * @param {Object} bindingInfo The write binding whose element generated an
+     *      event.
+    **/
+    var scheduleWrite = function (bindingInfo) {
+        var template = bindingInfo.template;
+        if (disabledClasses.has(bindingInfo.class))
+            return;
+
+        // Failed writes have already been reported through the framework's
+        // events by the time the promise rejects
+        var write = function () {
+            self._writeToDevice(bindingInfo).fail(function () {});
+        };
+
+        var writeLater = function (delay) {
+            writeTimers.set(template, setTimeout(function () {
+                writeTimers.delete(template);
+                lastWriteTimes.set(template, Date.now());
+                write();
+            }, delay));
+        };
+
+        if (bindingInfo.debounce !== undefined) {
+            if (writeTimers.has(template))
+                clearTimeout(writeTimers.get(template));
+            writeLater(bindingInfo.debounce);
+            return;
+        }
+
+        if (bindingInfo.throttle !== undefined) {
+            var lastWrite = lastWriteTimes.get(template, null);
+            var wait = 0;
+            if (lastWrite !== null)
+                wait = lastWrite + bindingInfo.throttle - Date.now();
+
+            if (wait > 0) {
+                if (!writeTimers.has(template))
+                    writeLater(wait);
+                return;
+            }
+
+            lastWriteTimes.set(template, Date.now());
+        }
+
+        write();
+    };
+
+    /**
+     * Cancel any writes for a binding that are waiting on debounce or throttle.
+     *
+     * @param {String} template The template of the binding.
+    **/
+    var cancelScheduledWrite = function (template) {
+        if (writeTimers.has(template)) {
+            clearTimeout(writeTimers.get(template));
+            writeTimers.delete(template);
+        }
+        lastWriteTimes.delete(template);
+    };
+
+    /**
+     * Note that the user started editing a readwrite binding's element.
+     *
+     * While the user is editing, the refresh loop will not overwrite the
+     * element's value.
+     *
+     * @param {Object} bindingInfo The readwrite binding being edited.
+    **/
+    var startEdit = function (bindingInfo) {
+        // The user's input replaces the rendered value
+        renderedValues.delete(bindingInfo.template);
+        editingBindings.set(bindingInfo.template, {
+            startValue: lastReadValues.get(bindingInfo.template),
+            committed: false
+        });
+    };
+
+    /**
+     * Note that the user stopped editing a readwrite binding's element.
+     *
+     * If the user left without writing a new value, the element is reset to
+     * the latest value read from the device.
+     *
+     * @param {Object} bindingInfo The readwrite binding that was being edited.
+    **/
+    var finishEdit = function (bindingInfo) {
+        var edit = editingBindings.get(bindingInfo.template);
+        editingBindings.delete(bindingInfo.template);
+
+        var lastRead = lastReadValues.get(bindingInfo.template);
+        if (edit && !edit.committed && lastRead !== undefined)
+            renderReadValue(bindingInfo, lastRead);
+    };
+
+    /**
+     * Check if the device value changed while the user edited a binding.
+     *
+     * @param {Object} bindingInfo The binding about to be written.
+     * @param {Object} rawVal The value the user entered.
+     * @return {q.promise} Promise that resolves if the write should go ahead.
+     *      If the register changed during the edit, the onWriteConflict event
+     *      fires and the promise rejects if a listener calls its onErr
+     *      callback.
+    **/
+    var checkWriteConflict = function (bindingInfo, rawVal) {
+        var deferred = q.defer();
+        var edit = editingBindings.get(bindingInfo.template);
+        var lastRead = lastReadValues.get(bindingInfo.template);
+
+        var noConflict = !edit || edit.startValue === undefined ||
+            edit.startValue === lastRead;
+        if (noConflict) {
+            deferred.resolve();
+            return deferred.promise;
+        }
+
+        self.fire(
+            'onWriteConflict',
+            [
+                bindingInfo.binding,
+                edit.startValue,
+                lastRead,
+                rawVal
+            ],
+            deferred.reject,
+            deferred.resolve
+        );
+        return deferred.promise;
+    };
+
+    /**
+     * Determine if a value read back from the device matches a written value.
+     *
+     * @param {Object} bindingInfo The binding that was written.
+     * @param {Object} written The value written to the device.
+     * @param {Object} readBack The value the device reported after the write.
+     * @return {boolean} True if the values match within the tolerance given
+     *      by the binding's confirmWrite option.
+    **/
+    var writeConfirmed = function (bindingInfo, written, readBack) {
+        if (typeof written !== 'number' || typeof readBack !== 'number')
+            return String(written) === String(readBack);
+
+        // Default to the precision of a 32 bit float register
+        var tolerance = Math.abs(written) * FLOAT_CONFIRM_TOLERANCE;
+        if (typeof bindingInfo.confirmWrite === 'object')
+            tolerance = bindingInfo.confirmWrite.tolerance;
+
+        return Math.abs(written - readBack) <= tolerance;
+    };
+
+    /**
+     * Write the value of a write binding's HTML element to the device.
+     *
+     * The value is first checked against the binding's validation rules. If it
+     * fails, the element is marked with the invalid input CSS class, the
+     * onValidationError event fires, and the device is not touched. If the
+     * device reports an error or does not confirm the write, the
+     * onRegisterWriteError event fires and onRegisterWritten does not.
+     *
+     * @param {Object} bindingInfo The write binding to write the value for.
+     * @return {q.promise} Promise that resolves after the value is written and
+     *      rejects if the value was invalid or could not be written.
+    **/
+    this._writeToDevice = function (bindingInfo) {
+        var jquerySelector = '#' + bindingInfo.template;
+        var rawVal = self.jquery.val(jquerySelector);
+        var parsed = value_parsers.parseValue(rawVal, bindingInfo);
+        var register = register_map.resolveRegister(
+            bindingInfo.binding,
+            bindingInfo.dataType
+        );
+        var registerKey = getRegisterKey(
+            bindingInfo.binding,
+            bindingInfo.dataType
+        );
+        var deviceRegister = getDeviceRegister(
+            bindingInfo.binding,
+            bindingInfo.dataType
+        );
+        var deferred = q.defer();
+
+        if (parsed.errors.length == 0 && register !== null) {
+            var coerced = register_map.coerceValue(parsed.value, register.type);
+            if (coerced.error !== undefined)
+                parsed.errors.push(coerced.error);
+            else
+                parsed.value = coerced.value;
+        }
+        var newVal = parsed.value;
+
+        if (parsed.errors.length > 0) {
+            self.jquery.addClass(jquerySelector, INVALID_INPUT_CLASS);
+            self.fire(
+                'onValidationError',
+                [
+                    bindingInfo.binding,
+                    rawVal,
+                    parsed.errors
+                ],
+                ignoreListenerError
+            );
+            deferred.reject(parsed.errors);
+            return deferred.promise;
+        }
+
+        self.jquery.removeClass(jquerySelector, INVALID_INPUT_CLASS);
+
+        var resolveConflict = function () {
+            if (bindingInfo.direction !== 'readwrite')
+                return q.resolve();
+
+            return checkWriteConflict(bindingInfo, rawVal).then(
+                function () {
+                    var edit = editingBindings.get(bindingInfo.template);
+                    if (edit) {
+                        edit.committed = true;
+                        edit.startValue = lastReadValues.get(
+                            bindingInfo.template
+                        );
+                    }
+                },
+                function (err) {
+                    var lastRead = lastReadValues.get(bindingInfo.template);
+                    renderReadValue(bindingInfo, lastRead);
+                    throw err;
+                }
+            );
+        };
+
+        var alertRegisterWrite = function () {
             var innerDeferred = q.defer();
             self.fire(
                 'onRegisterWrite',
@@ -398,78 +1433,866 @@ function Framework() {
             return innerDeferred.promise;
         };
 
-        var writeToDevice = function () {
-            var innerDeferred = q.defer();
-            var device = self.getSelectedDevice();
-            device.write(bindingInfo.binding, newVal);
-            innerDeferred.resolve();
-            return innerDeferred.promise;
-        }
+        var reportWriteError = function (err) {
+            self.fire(
+                'onRegisterWriteError',
+                [
+                    bindingInfo.binding,
+                    newVal,
+                    err
+                ],
+                ignoreListenerError
+            );
+            throw err;
+        };
+
+        var confirmDeviceWrite = function (device, writtenVal) {
+            var innerDeferred = q.defer();
+
+            if (!bindingInfo.confirmWrite) {
+                innerDeferred.resolve(writtenVal);
+                return innerDeferred.promise;
+            }
+
+            q(device.read(deviceRegister)).then(
+                function (readBack) {
+                    if (writeConfirmed(bindingInfo, writtenVal, readBack)) {
+                        innerDeferred.resolve(writtenVal);
+                    } else {
+                        innerDeferred.reject({
+                            msg: 'Device did not confirm write.',
+                            expected: writtenVal,
+                            actual: readBack
+                        });
+                    }
+                },
+                innerDeferred.reject
+            );
+
+            return innerDeferred.promise;
+        };
+
+        // Goes through the device's queue. If a newer value for the same
+        // register is queued before this one goes out, only the newer value is
+        // written and the promise resolves to that value.
+        var writeToSingleDevice = function (device) {
+            var performWrite = function (writtenVal) {
+                return q(device.write(deviceRegister, writtenVal))
+                .then(function () {
+                    if (sessionRecorder !== null) {
+                        sessionRecorder.recordWrite(
+                            getRecordedDeviceInfo(device),
+                            registerKey,
+                            writtenVal
+                        );
+                    }
+                    return confirmDeviceWrite(device, writtenVal);
+                });
+            };
+
+            return getWriteQueue(device).write(
+                registerKey,
+                newVal,
+                performWrite
+            );
+        };
+
+        var writeToDevice = function () {
+            var devices = getBindingDevices(bindingInfo);
+            if (devices.length == 0)
+                return q.reject('No device selected.');
+
+            return q.all(devices.map(writeToSingleDevice))
+            .then(function (writtenVals) { return writtenVals[0]; });
+        };
+
+        var alertRegisterWritten = function (writtenVal) {
+            var innerDeferred = q.defer();
+            self.fire(
+                'onRegisterWritten',
+                [
+                    bindingInfo.binding,
+                    writtenVal
+                ],
+                innerDeferred.reject,
+                innerDeferred.resolve
+            );
+            return innerDeferred.promise;
+        };
+
+        // Errors skip the remaining steps so nothing is written after a failed
+        // check and onRegisterWritten does not fire after a failed write.
+        resolveConflict()
+        .then(alertRegisterWrite)
+        .then(function () {
+            return writeToDevice().fail(reportWriteError);
+        })
+        .then(alertRegisterWritten)
+        .then(deferred.resolve, deferred.reject);
+
+        return deferred.promise;
+    };
+
+    /**
+     * Delete a previously added configuration binding.
+     *
+     * @param {String} bindingName The name of the binding (the binding info
+     *      object's original "template" attribute) to delete.
+    **/
+    this.deleteConfigBinding = function (bindingName) {
+        var expandedBindings = ljmmm_parse.expandLJMMMName(bindingName);
+        var numBindings = expandedBindings.length;
+        if (numBindings > 1) {
+            for (var i=0; i<numBindings; i++)
+                deleteConfigBinding(expandedBindings[i]);
+            return;
+        }
+
+        if (!self.bindings.has(bindingName)) {
+            self.fire(
+                'onLoadError',
+                [ 'No binding for ' + bindingName ],
+                function (shouldContinue) { self.runLoop = shouldContinue; }
+            );
+            return;
+        }
+
+        var bindingInfo = self.bindings.get(bindingName);
+
+        self.bindings.delete(bindingName);
+        charts.delete(bindingName);
+        getBindingElementIds(bindingInfo).forEach(function (elementId) {
+            renderedValues.delete(elementId);
+            pendingRenders.delete(elementId);
+        });
+
+        if (bindingInfo.direction === 'read') {
+            self.readBindings.delete(bindingName);
+        } else if (bindingInfo.direction === 'write') {
+            self.writeBindings.delete(bindingName);
+            cancelScheduledWrite(bindingName);
+            detachBindingListeners(bindingInfo);
+        } else if (bindingInfo.direction === 'readwrite') {
+            self.readBindings.delete(bindingName);
+            self.writeBindings.delete(bindingName);
+            editingBindings.delete(bindingName);
+            cancelScheduledWrite(bindingName);
+            detachBindingListeners(bindingInfo);
+        } else {
+            self.fire(
+                'onLoadError',
+                [ 'Config binding has invalid direction' ],
+                function (shouldContinue) { self.runLoop = shouldContinue; }
+            );
+        }
+    };
+    var deleteConfigBinding = this.deleteConfigBinding;
+
+    /**
+     * Get the bindings that belong to a binding class.
+     *
+     * @param {String} className The class attribute shared by the bindings.
+     * @return {Array} The binding info objects with the given class.
+    **/
+    var getClassBindings = function (className) {
+        var classBindings = [];
+        self.bindings.forEach(function (bindingInfo) {
+            if (bindingInfo.class === className)
+                classBindings.push(bindingInfo);
+        });
+        return classBindings;
+    };
+
+    /**
+     * Get the IDs of the elements that display or set a binding's value.
+     *
+     * @param {Object} bindingInfo The binding to get the element IDs for.
+     * @return {Array} The template for most bindings or an element ID per
+     *      selected device for bindings that apply to all devices.
+    **/
+    var getBindingElementIds = function (bindingInfo) {
+        if (bindingInfo.devices !== 'all')
+            return [bindingInfo.template];
+
+        return getBindingDevices(bindingInfo).map(function (device) {
+            return getElementId(bindingInfo, device);
+        });
+    };
+
+    /**
+     * Determine if the refresh loop should read a binding's register.
+     *
+     * @param {Object} bindingInfo The read binding to check.
+     * @return {boolean} False if the binding's class is paused or disabled
+     *      and true otherwise.
+    **/
+    var isPolled = function (bindingInfo) {
+        var className = bindingInfo.class;
+        return !pausedClasses.has(className) &&
+            !disabledClasses.has(className);
+    };
+
+    /**
+     * Disable all of the bindings of a binding class.
+     *
+     * The elements of the bindings are disabled, their registers are no
+     * longer read by the refresh loop, and events from their elements are
+     * not written to the device. Writes waiting on debounce or throttle are
+     * cancelled. Bindings added to the class later are not read or written
+     * either until enableClass is called.
+     *
+     * @param {String} className The class attribute of the bindings to
+     *      disable.
+    **/
+    this.disableClass = function (className) {
+        disabledClasses.set(className, true);
+        getClassBindings(className).forEach(function (bindingInfo) {
+            cancelScheduledWrite(bindingInfo.template);
+            getBindingElementIds(bindingInfo).forEach(function (elementId) {
+                self.jquery.attr('#' + elementId, 'disabled', 'disabled');
+            });
+        });
+    };
+
+    /**
+     * Re-enable the bindings of a class disabled through disableClass.
+     *
+     * @param {String} className The class attribute of the bindings to
+     *      enable.
+    **/
+    this.enableClass = function (className) {
+        disabledClasses.delete(className);
+        getClassBindings(className).forEach(function (bindingInfo) {
+            getBindingElementIds(bindingInfo).forEach(function (elementId) {
+                self.jquery.attr('#' + elementId, 'disabled', null);
+            });
+        });
+    };
+
+    /**
+     * Stop reading the registers of a binding class in the refresh loop.
+     *
+     * Unlike disableClass, the elements stay enabled and write bindings
+     * continue to write to the device. Useful for values that are not
+     * currently visible.
+     *
+     * @param {String} className The class attribute of the bindings to pause.
+    **/
+    this.pauseClass = function (className) {
+        pausedClasses.set(className, true);
+    };
+
+    /**
+     * Start reading the registers of a class paused through pauseClass again.
+     *
+     * @param {String} className The class attribute of the bindings to
+     *      resume.
+    **/
+    this.resumeClass = function (className) {
+        pausedClasses.delete(className);
+    };
+
+    /**
+     * Determine if a binding class is paused or disabled.
+     *
+     * @param {String} className The class attribute of the bindings to check.
+     * @return {Object} Object with boolean paused and disabled attributes.
+    **/
+    this.getClassState = function (className) {
+        return {
+            paused: pausedClasses.has(className),
+            disabled: disabledClasses.has(className)
+        };
+    };
+
+    /**
+     * Delete all of the bindings of a binding class.
+     *
+     * Fires onLoadError if no bindings have the class.
+     *
+     * @param {String} className The class attribute of the bindings to delete.
+    **/
+    this.deleteClass = function (className) {
+        var classBindings = getClassBindings(className);
+        if (classBindings.length == 0) {
+            self.fire(
+                'onLoadError',
+                [ 'No bindings for class ' + className ],
+                function (shouldContinue) { self.runLoop = shouldContinue; }
+            );
+            return;
+        }
+
+        classBindings.forEach(function (bindingInfo) {
+            deleteConfigBinding(bindingInfo.template);
+        });
+        pausedClasses.delete(className);
+        disabledClasses.delete(className);
+    };
+
+    /**
+     * Get the values last read for the bindings of a binding class.
+     *
+     * @param {String} className The class attribute of the bindings to get
+     *      values for.
+     * @return {dict} Dictionary mapping the ID of each element in the class
+     *      to the value last read for it. Elements that have not been read
+     *      yet are not included.
+    **/
+    this.getClassValues = function (className) {
+        var values = dict({});
+        getClassBindings(className).forEach(function (bindingInfo) {
+            getBindingElementIds(bindingInfo).forEach(function (elementId) {
+                if (lastReadValues.has(elementId))
+                    values.set(elementId, lastReadValues.get(elementId));
+            });
+        });
+        return values;
+    };
+
+    /**
+     * Find the problems with a chart's description that would stop the chart
+     * from being created.
+     *
+     * The attributes that the chart shares with bindings are checked when its
+     * binding is registered.
+     *
+     * @param {Object} chartInfo The chart description given to
+     *      putChartBinding.
+     * @return {Array} Array of Object with the field and message of each
+     *      problem in the format of binding_validator.validateBinding. Empty
+     *      if the chart can be created.
+    **/
+    var validateChartInfo = function (chartInfo) {
+        var problems = [];
+        var addProblem = function (field, message) {
+            problems.push({field: field, message: message});
+        };
+
+        if (chartInfo === null || typeof chartInfo !== 'object') {
+            addProblem(null, 'Chart binding must be an object');
+            return problems;
+        }
+
+        Object.keys(chartInfo).forEach(function (field) {
+            if (CHART_FIELDS.indexOf(field) == -1) {
+                addProblem(
+                    field,
+                    'Chart binding has unknown attribute ' + field
+                );
+            }
+        });
+
+        var series = chartInfo.series;
+        if (!(series instanceof Array) || series.length == 0)
+            addProblem('series', 'Chart binding has invalid series');
+
+        ['window', 'maxSamples', 'width', 'height'].forEach(function (field) {
+            var value = chartInfo[field];
+            var valid = value === undefined ||
+                binding_validator.isValidPeriod(value);
+            if (!valid)
+                addProblem(field, 'Chart binding has invalid ' + field);
+        });
+
+        ['min', 'max'].forEach(function (field) {
+            var value = chartInfo[field];
+            var valid = value === undefined ||
+                (typeof value === 'number' && isFinite(value));
+            if (!valid)
+                addProblem(field, 'Chart binding has invalid ' + field);
+        });
+
+        var hasRange = typeof chartInfo.min === 'number' &&
+            typeof chartInfo.max === 'number';
+        if (hasRange && chartInfo.min >= chartInfo.max)
+            addProblem('max', 'Chart binding max must be greater than min');
+
+        return problems;
+    };
+
+    /**
+     * Plot the values of one or more registers over time in an element.
+     *
+     * The chart is added as a derived read binding (see putConfigBinding)
+     * whose sources are the chart's series. Each time the refresh loop reads
+     * the series, their values are added to the chart and the element's HTML
+     * is replaced with an SVG drawing of the chart (see
+     * live_chart.LiveChart.render).
+     *
+     * @param {Object} chartInfo Object describing the chart with the class,
+     *      template, period, and group attributes of a binding and the
+     *      series, window, maxSamples, width, height, min, and max options of
+     *      live_chart.LiveChart. Series may name registers or give their
+     *      addresses. If chartInfo is invalid, onLoadError fires and the chart
+     *      is not added.
+    **/
+    this.putChartBinding = function (chartInfo) {
+        var problems = validateChartInfo(chartInfo);
+        if (problems.length > 0) {
+            self.fire(
+                'onLoadError',
+                [ describeBindingProblems(problems) ],
+                function (shouldContinue) { self.runLoop = shouldContinue; }
+            );
+            return;
+        }
+
+        var chart = new live_chart.LiveChart(chartInfo);
+        var binding = {
+            class: chartInfo.class,
+            template: chartInfo.template,
+            sources: chartInfo.series,
+            direction: 'read',
+            compute: function (values) {
+                if (chart.isPaused())
+                    return undefined;
+                chart.addSample(Date.now(), values);
+                return chart.render();
+            }
+        };
+        if (chartInfo.period !== undefined)
+            binding.period = chartInfo.period;
+        if (chartInfo.group !== undefined)
+            binding.group = chartInfo.group;
+
+        putConfigBinding(binding);
+        if (self.bindings.get(chartInfo.template, null) === binding)
+            charts.set(chartInfo.template, chart);
+    };
+
+    /**
+     * Get a chart added through putChartBinding.
+     *
+     * @param {String} template The ID of the chart's element.
+     * @return {live_chart.LiveChart} The chart or null if no chart is bound
+     *      to the element.
+    **/
+    this.getChart = function (template) {
+        return charts.get(template, null);
+    };
+
+    /**
+     * Stop adding samples to a chart so its current contents can be studied.
+     *
+     * The chart's registers are still read. Use pauseClass to stop reading
+     * them as well.
+     *
+     * @param {String} template The ID of the chart's element.
+    **/
+    this.pauseChart = function (template) {
+        var chart = charts.get(template, null);
+        if (chart !== null)
+            chart.pause();
+    };
+
+    /**
+     * Start adding samples to a chart paused through pauseChart again.
+     *
+     * @param {String} template The ID of the chart's element.
+    **/
+    this.resumeChart = function (template) {
+        var chart = charts.get(template, null);
+        if (chart !== null)
+            chart.resume();
+    };
+
+    /**
+     * Get the information about a device that templates can display.
+     *
+     * @param {Object} device The device to describe.
+     * @return {Object} Object with the device's serial, deviceType, and name
+     *      along with disabled and disabledReason describing if the device
+     *      cannot run the module and why.
+    **/
+    var getDeviceViewInfo = function (device) {
+        var incompatibility = getIncompatibility(device);
+        return {
+            serial: getSerial(device),
+            deviceType: device.getDeviceType ? device.getDeviceType() : null,
+            name: device.getName ? device.getName() : null,
+            disabled: incompatibility !== null,
+            disabledReason: incompatibility
+        };
+    };
+
+    /**
+     * Get the location of the file that remembers the selected devices.
+     *
+     * @return {String} Full path to the selection store in the module's
+     *      directory or null if the module name has not been set.
+    **/
+    var getSelectionStoreURI = function () {
+        if (!moduleName)
+            return null;
+        return fs_facade.getExternalURI(
+            moduleName + '/' + DEVICE_SELECTION_STORE
+        );
+    };
+
+    /**
+     * Remember which devices are selected for the next time the module loads.
+     *
+     * @return {q.promise} Promise that resolves after the selection has been
+     *      saved. Resolves immediately if the module name has not been set.
+    **/
+    var saveDeviceSelection = function () {
+        var deferred = q.defer();
+        var location = getSelectionStoreURI();
+
+        if (location === null) {
+            deferred.resolve();
+            return deferred.promise;
+        }
+
+        fs_facade.saveJSON(
+            location,
+            { lastSelectedSerials: self.selectedDevices.map(getSerial) },
+            deferred.reject,
+            deferred.resolve
+        );
+        return deferred.promise;
+    };
+
+    /**
+     * Load the serial numbers of the devices last selected for the module.
+     *
+     * @return {q.promise} Promise that resolves to an Array of String serial
+     *      numbers. Resolves to an empty Array if nothing has been saved yet.
+    **/
+    var loadDeviceSelection = function () {
+        var deferred = q.defer();
+        var location = getSelectionStoreURI();
+
+        if (location === null) {
+            deferred.resolve([]);
+            return deferred.promise;
+        }
+
+        fs_facade.getJSON(
+            location,
+            function () { deferred.resolve([]); },
+            function (contents) {
+                var serials = contents.lastSelectedSerials;
+                deferred.resolve(serials instanceof Array ? serials : []);
+            }
+        );
+        return deferred.promise;
+    };
+
+    /**
+     * Select the devices last selected for the module if they are present.
+     *
+     * Falls back to the first compatible device if none of the remembered
+     * devices are present. Devices that cannot run the module are never
+     * selected. Does nothing if the framework has not been given any devices.
+     * If a device is selected, devices that were disconnected are no longer
+     * selected again when they reconnect and a refresh loop paused for their
+     * reconnection resumes with the new selection.
+     *
+     * @return {q.promise} Promise that resolves after the selection has been
+     *      restored.
+    **/
+    var restoreDeviceSelection = function () {
+        return loadDeviceSelection().then(function (serials) {
+            var compatibleDevices = devices.filter(isCompatible);
+            var restoredDevices = [];
+            serials.forEach(function (serial) {
+                var deviceIndex = findDevice(compatibleDevices, String(serial));
+                if (deviceIndex != -1)
+                    restoredDevices.push(compatibleDevices[deviceIndex]);
+            });
+
+            if (restoredDevices.length == 0)
+                restoredDevices = compatibleDevices.slice(0, 1);
 
-        var alertRegisterWritten = function () {
-            var innerDeferred = q.defer();
-            self.fire(
-                'onRegisterWritten',
-                [
-                    bindingInfo.binding,
-                    newVal
-                ],
-                innerDeferred.reject,
-                innerDeferred.resolve
-            );
-            return innerDeferred.promise;
+            if (deviceSelectionMode === 'single')
+                restoredDevices = restoredDevices.slice(0, 1);
+
+            self._SetSelectedDevices(restoredDevices);
+            if (restoredDevices.length == 0)
+                return;
+
+            reconnectingSerials = [];
+            if (loopPausedForReconnect) {
+                loopPausedForReconnect = false;
+                self.startLoop();
+            }
+        });
+    };
+
+    /**
+     * Listen for the user changing the device selector and show the selection.
+     *
+     * If no devices are selected yet, the devices last selected for the module
+     * are selected again (see restoreDeviceSelection). If the framework does
+     * not know about any devices, the first device in the selector is checked.
+     *
+     * @return {q.promise} Promise that resolves after the selected devices have
+     *      been checked in the device selector.
+    **/
+    var attachDeviceSelectorListeners = function () {
+        self.jquery.off(DEVICE_SELECTOR_INPUTS, 'click');
+        self.jquery.on(
+            DEVICE_SELECTOR_INPUTS,
+            'click',
+            self._changeSelectedDeviceUI
+        );
+
+        var checkSelectedDevices = function () {
+            if (self.selectedDevices.length == 0) {
+                self.jquery.find(DEVICE_SELECTOR_INPUTS).first().prop(
+                    'checked', true);
+                return;
+            }
+
+            self.selectedDevices.forEach(function (device) {
+                self.jquery.find('#' + getSerial(device) + '-selector').prop(
+                    'checked', true);
+            });
         };
 
+        if (self.selectedDevices.length == 0)
+            return restoreDeviceSelection().then(checkSelectedDevices);
+        else
+            return q(checkSelectedDevices());
+    };
+
+    /**
+     * Render the table the user selects devices with from the device list.
+     *
+     * @return {q.promise} Promise that resolves after the table has been
+     *      rendered into the device selector and its listeners attached.
+    **/
+    var renderDeviceSelector = function () {
         var deferred = q.defer();
-        alertRegisterWrite()
-        .then(writeToDevice, deferred.reject)
-        .then(alertRegisterWritten, deferred.reject)
-        .then(deferred.resolve, deferred.reject);
-    }
+        var context = {
+            devices: devices.map(getDeviceViewInfo),
+            hasMultipleDevices: devices.length > 1,
+            multipleDeviceSelection: deviceSelectionMode === 'multiple'
+        };
+
+        fs_facade.renderTemplate(
+            DEVICE_SELECTOR_TEMPLATE,
+            context,
+            deferred.reject,
+            function (renderedHTML) {
+                self.jquery.html(DEVICE_SELECTOR_TARGET, renderedHTML);
+                attachDeviceSelectorListeners().then(
+                    deferred.resolve,
+                    deferred.reject
+                );
+            }
+        );
+
+        return deferred.promise;
+    };
 
     /**
-     * Delete a previously added configuration binding.
+     * Find a device in a list by its serial number.
      *
-     * @param {String} bindingName The name of the binding (the binding info
-     *      object's original "template" attribute) to delete.
+     * @param {Array} deviceList The devices to search.
+     * @param {String} serial The serial number of the device to find.
+     * @return {int} The index of the device in deviceList or -1 if not found.
     **/
-    this.deleteConfigBinding = function (bindingName) {
-        var expandedBindings = ljmmm_parse.expandLJMMMName(bindingName);
-        var numBindings = expandedBindings.length;
-        if (numBindings > 1) {
-            for (var i=0; i<numBindings; i++)
-                deleteConfigBinding(expandedBindings[i]);
-            return;
+    var findDevice = function (deviceList, serial) {
+        var numDevices = deviceList.length;
+        for (var i=0; i<numDevices; i++) {
+            if (getSerial(deviceList[i]) === serial)
+                return i;
         }
+        return -1;
+    };
 
-        if (!self.bindings.has(bindingName)) {
-            self.fire(
-                'onLoadError',
-                [ 'No binding for ' + bindingName ],
-                function (shouldContinue) { self.runLoop = shouldContinue; }
-            );
+    /**
+     * Report that a device list update failed through onLoadError.
+     *
+     * @param {Object} err The error encountered.
+    **/
+    var reportDeviceListError = function (err) {
+        self.fire(
+            'onLoadError',
+            [ err ],
+            function (shouldContinue) { self.runLoop = shouldContinue; }
+        );
+        throw err;
+    };
+
+    /**
+     * Add a device to the device list without updating the device selector.
+     *
+     * @param {Object} device The device that was opened.
+     * @return {boolean} True if the device is a selected device that had been
+     *      disconnected and false otherwise.
+    **/
+    var attachDevice = function (device) {
+        var serial = getSerial(device);
+        var existingIndex = findDevice(devices, serial);
+        if (existingIndex == -1)
+            devices.push(device);
+        else
+            devices[existingIndex] = device;
+
+        var reconnectIndex = reconnectingSerials.indexOf(serial);
+        if (reconnectIndex == -1)
+            return false;
+
+        reconnectingSerials.splice(reconnectIndex, 1);
+        if (deviceSelectionMode === 'single')
+            self._SetSelectedDevices([device]);
+        else
+            self._SetSelectedDevices(self.selectedDevices.concat([device]));
+        return true;
+    };
+
+    /**
+     * Remove a device from the device list without updating the selector.
+     *
+     * @param {Object} device The device that was detached.
+    **/
+    var detachDevice = function (device) {
+        var serial = getSerial(device);
+        var existingIndex = findDevice(devices, serial);
+        if (existingIndex != -1)
+            devices.splice(existingIndex, 1);
+
+        writeQueues = writeQueues.filter(function (queueInfo) {
+            return getSerial(queueInfo.device) !== serial;
+        });
+
+        if (findDevice(self.selectedDevices, serial) == -1)
             return;
+
+        reconnectingSerials.push(serial);
+        self._SetSelectedDevices(self.selectedDevices.filter(
+            function (selectedDevice) {
+                return getSerial(selectedDevice) !== serial;
+            }
+        ));
+
+        if (self.selectedDevices.length == 0 && self.runLoop) {
+            self.stopLoop();
+            loopPausedForReconnect = true;
         }
+    };
 
-        var bindingInfo = this.bindings.get(bindingName);
+    /**
+     * Update the device list, re-render the selector, and alert listeners.
+     *
+     * @param {Array} addedDevices The devices that were attached.
+     * @param {Array} removedDevices The devices that were detached.
+     * @return {q.promise} Promise that resolves after the device selector has
+     *      been updated and the onDeviceRemoved and onDeviceAdded listeners
+     *      have finished.
+    **/
+    var updateDevices = function (addedDevices, removedDevices) {
+        removedDevices.forEach(detachDevice);
 
-        self.bindings.delete(bindingName);
+        var reconnected = false;
+        addedDevices.forEach(function (device) {
+            if (attachDevice(device))
+                reconnected = true;
+        });
 
-        if (bindingInfo.direction === 'read') {
-            self.readBindings.delete(bindingName);
-        } else if (bindingInfo.direction === 'write') {
-            self.writeBindings.delete(bindingName);
-            var jquerySelector = '#' + bindingInfo.template;
-            jquery.off(jquerySelector, bindingInfo.event);
-        } else {
-            self.fire(
-                'onLoadError',
-                [ 'Config binding has invalid direction' ],
-                function (shouldContinue) { self.runLoop = shouldContinue; }
-            );
-        }
+        var alertDevices = function (eventName, changedDevices) {
+            return changedDevices.reduce(function (prevAlert, device) {
+                return prevAlert.then(function () {
+                    return self.fire(eventName, [ device ]);
+                });
+            }, q());
+        };
+
+        var resumeLoop = function () {
+            if (reconnected && loopPausedForReconnect) {
+                loopPausedForReconnect = false;
+                self.startLoop();
+            }
+        };
+
+        devicesListed = true;
+        return renderDeviceSelector()
+        .then(refreshDeviceView)
+        .then(function () {
+            return alertDevices('onDeviceRemoved', removedDevices);
+        })
+        .then(function () {
+            return alertDevices('onDeviceAdded', addedDevices);
+        })
+        .then(resumeLoop)
+        .then(checkCompatibleDevices)
+        .fail(reportDeviceListError);
     };
-    var deleteConfigBinding = this.deleteConfigBinding;
+
+    /**
+     * Add a device that was opened to the devices the user can select.
+     *
+     * Should be called by the device keeper when a device is attached. If the
+     * device is a previously selected device that was disconnected, it is
+     * selected again and the refresh loop, if paused because of the
+     * disconnect, resumes. Fires onDeviceAdded with the device after the
+     * device selector has been updated.
+     *
+     * @param {Object} device The device that was opened.
+     * @return {q.promise} Promise that resolves after the device selector has
+     *      been updated and the onDeviceAdded listeners have finished.
+    **/
+    this.addDevice = function (device) {
+        return updateDevices([device], []);
+    };
+    var addDevice = this.addDevice;
+
+    /**
+     * Remove a device that was closed or disconnected.
+     *
+     * Should be called by the device keeper when a device is detached. If the
+     * device was selected, it is removed from the selection but remembered so
+     * that it is selected again when it reconnects (see addDevice). The
+     * refresh loop is paused if no selected devices remain. Fires
+     * onDeviceRemoved with the device after the device selector has been
+     * updated.
+     *
+     * @param {Object} device The device that was detached.
+     * @return {q.promise} Promise that resolves after the device selector has
+     *      been updated and the onDeviceRemoved listeners have finished.
+    **/
+    this.removeDevice = function (device) {
+        return updateDevices([], [device]);
+    };
+    var removeDevice = this.removeDevice;
+
+    /**
+     * Replace the devices the user can select with the device keeper's list.
+     *
+     * Devices not in the current list are added and devices missing from the
+     * new list are removed as described in addDevice and removeDevice. The
+     * device selector is rendered once for the whole update.
+     *
+     * @param {Array} newDevices The devices currently open.
+     * @return {q.promise} Promise that resolves after the device selector has
+     *      been updated and all onDeviceAdded and onDeviceRemoved listeners
+     *      have finished.
+    **/
+    this.setDevices = function (newDevices) {
+        var removedDevices = devices.filter(function (device) {
+            return findDevice(newDevices, getSerial(device)) == -1;
+        });
+        var addedDevices = newDevices.filter(function (device) {
+            return devices.indexOf(device) == -1;
+        });
+
+        return updateDevices(addedDevices, removedDevices);
+    };
+    var setDevices = this.setDevices;
+
+    /**
+     * Get the devices the user can select.
+     *
+     * @return {Array} The open devices known to the framework.
+    **/
+    this.getDevices = function () {
+        return devices.slice();
+    };
+    var getDevices = this.getDevices;
 
     /**
      * Render the HTML view to use for the current module.
@@ -480,11 +2303,26 @@ function Framework() {
      *      rendering this view. Will be provided to the template as an
      *      attribute "json" on the rendering context. Namely, context.json will
      *      be set to an object where the attribute is the name of the JSON file
-     *      and the value is the JSON loaded from that file.
+     *      and the value is the JSON loaded from that file. The context's
+     *      selectedDevices attribute will also be set (if not already given)
+     *      to an Array with the serial, deviceType, and name of each selected
+     *      device so that the template can render a column per device. The
+     *      devices last selected for the module are selected before the view
+     *      is first rendered and the view is rendered again whenever the
+     *      selected devices change.
+     *      multipleDeviceSelection is set to true if the user may select more
+     *      than one device (see setDeviceSelectionMode). The context's
+     *      registers attribute maps register name to the register's address,
+     *      type, and units so that templates can use, for example,
+     *      {{registers.AIN0.units}}.
      * @param {function} onErr The function to call if an error was encountered
      *      while rendering the module view. Optional.
      * @param {function} onSuccess The function to call after the view has been
      *      rendered.
+     *
+     * After the view is rendered, the bindings declared in the module's
+     * bindings.json file (if any) are applied (see loadBindingsFile) and the
+     * onTemplateLoaded event is fired.
     **/
     this.setDeviceView = function (loc, jsonFiles, context, onErr, onSuccess) {
         var noop = function () {};
@@ -503,7 +2341,9 @@ function Framework() {
 
         // Create an error handler
         var reportLoadError = function (details) {
-            onErr({'msg': details});
+            var hasMessage = details !== null && typeof details === 'object' &&
+                details.msg !== undefined;
+            onErr(hasMessage ? details : {'msg': details});
             self.fire(
                 'onLoadError',
                 [ details ],
@@ -539,90 +2379,434 @@ function Framework() {
             return deferred.promise;
         };
 
-        // Load the HTML view template and render
-        var prepareHTMLTemplate = function () {
-            var deferred = q.defer();
-            var fullURI = fs_facade.getExternalURI(loc);
-            context.json = jsonTemplateVals;
-            fs_facade.renderTemplate(
-                fullURI,
-                context,
-                deferred.reject,
-                deferred.resolve
+        // The view's per device columns need the selection before rendering
+        var restoreSelection = function () {
+            if (self.selectedDevices.length > 0)
+                return q();
+            return restoreDeviceSelection();
+        };
+
+        var renderView = function () {
+            deviceView = {
+                location: loc,
+                context: context,
+                json: jsonTemplateVals,
+                serials: null
+            };
+            return renderDeviceView();
+        };
+
+        var alertTemplateLoaded = function () {
+            return self.fire('onTemplateLoaded', []);
+        };
+
+        loadJSONFiles()
+        .then(restoreSelection)
+        .then(renderView)
+        .then(attachDeviceSelectorListeners)
+        .then(self.loadBindingsFile)
+        .then(alertTemplateLoaded)
+        .then(onSuccess, reportLoadError);
+    };
+    var setDeviceView = self.setDeviceView;
+
+    /**
+     * Render the view given to setDeviceView for the selected devices.
+     *
+     * @return {q.promise} Promise that resolves after the rendered view has
+     *      been placed in the page. Rejects if the template could not be
+     *      rendered.
+    **/
+    var renderDeviceView = function () {
+        var deferred = q.defer();
+        var fullURI = fs_facade.getExternalURI(deviceView.location);
+        var context = extend({}, deviceView.context, {
+            json: deviceView.json,
+            multipleDeviceSelection: deviceSelectionMode === 'multiple'
+        });
+        if (context.selectedDevices === undefined) {
+            context.selectedDevices = self.selectedDevices.map(
+                getDeviceViewInfo
+            );
+        }
+        if (context.registers === undefined)
+            context.registers = register_map.getAllRegisters();
+
+        fs_facade.renderTemplate(
+            fullURI,
+            context,
+            deferred.reject,
+            function (htmlContents) {
+                self.jquery.html(DEVICE_VIEW_TARGET, htmlContents);
+                viewRendered = true;
+                deviceView.serials = self.selectedDevices.map(getSerial);
+                renderedValues.clear();
+                pendingRenders.clear();
+                deferred.resolve();
+            }
+        );
+        return deferred.promise;
+    };
+
+    /**
+     * Apply the registered bindings to the elements of a newly rendered view.
+     *
+     * Write listeners are attached again and disabled classes stay disabled.
+     * Values are displayed again on the next loop iteration.
+     *
+     * @return {q.promise} Promise that resolves after the bindings have been
+     *      applied. Rejects if the view is missing the element for a selected
+     *      device of a binding that applies to all devices.
+    **/
+    var reattachBindings = function () {
+        var missingElements = [];
+        self.bindings.forEach(function (bindingInfo) {
+            detachBindingListeners(bindingInfo);
+            attachBindingListeners(bindingInfo);
+
+            var elementIds = getBindingElementIds(bindingInfo);
+            if (disabledClasses.has(bindingInfo.class)) {
+                elementIds.forEach(function (elementId) {
+                    self.jquery.attr('#' + elementId, 'disabled', 'disabled');
+                });
+            }
+
+            if (bindingInfo.devices !== 'all')
+                return;
+            elementIds.forEach(function (elementId) {
+                if (!elementExists(elementId))
+                    missingElements.push(elementId);
+            });
+        });
+
+        if (missingElements.length > 0) {
+            return q.reject(
+                'View has no element for ' + missingElements.join(', ')
             );
+        }
+        return q();
+    };
+
+    /**
+     * Render the view again if the selected devices changed since it was last
+     * rendered so that it has the elements for each selected device.
+     *
+     * @return {q.promise} Promise that resolves after the view has been
+     *      rendered and the bindings applied again. Resolves immediately if
+     *      no view has been set or the selection did not change.
+    **/
+    var refreshDeviceView = function () {
+        if (deviceView === null)
+            return q();
+
+        var serials = self.selectedDevices.map(getSerial);
+        if (serials.join(',') === deviceView.serials.join(','))
+            return q();
+
+        return renderDeviceView().then(reattachBindings);
+    };
+
+    /**
+     * Apply the bindings declared in the module's bindings.json file.
+     *
+     * The bindings file sits next to the module's module.json file and holds
+     * an Array of binding objects as described in putConfigBinding. Because
+     * the file is JSON, formatters and parsers must be given as objects rather
+     * than functions. For example:
+     *
+     * [
+     *     {
+     *         "class": "analog-inputs",
+     *         "template": "ain-#(0:3)-display",
+     *         "binding": "AIN#(0:3)",
+     *         "direction": "read",
+     *         "formatter": {"decimals": 3, "units": "V"}
+     *     }
+     * ]
+     *
+     * Modules without a bindings file or whose name has not been set (see
+     * setModuleName) are left unchanged.
+     *
+     * All of the declared bindings are checked before any are applied.
+     * Templates may not be repeated within the file.
+     *
+     * @return {q.promise} Promise that resolves after the bindings have been
+     *      applied. Rejects if the bindings file could not be loaded, is not
+     *      an Array, or has invalid bindings. Invalid bindings are reported as
+     *      an object with msg and errors attributes as in putConfigBinding
+     *      where each error also has the index of the binding in the file.
+    **/
+    this.loadBindingsFile = function () {
+        var deferred = q.defer();
+
+        if (!moduleName) {
+            deferred.resolve();
             return deferred.promise;
+        }
+
+        var location = fs_facade.getExternalURI(
+            moduleName + '/' + BINDINGS_FILE
+        );
+
+        var applyBindings = function (declaredBindings) {
+            if (!(declaredBindings instanceof Array)) {
+                deferred.reject(BINDINGS_FILE + ' must contain an Array');
+                return;
+            }
+
+            var problems = binding_validator.validateBindings(
+                declaredBindings,
+                getValidationContext()
+            );
+            if (binding_validator.hasErrors(problems)) {
+                deferred.reject(describeBindingProblems(problems));
+                return;
+            }
+
+            declaredBindings.forEach(self.putConfigBinding);
+            deferred.resolve();
+        };
+
+        fs_facade.exists(location, function (exists) {
+            if (exists)
+                fs_facade.getJSON(location, deferred.reject, applyBindings);
+            else
+                deferred.resolve();
+        });
+
+        return deferred.promise;
+    };
+    var loadBindingsFile = this.loadBindingsFile;
+
+    /**
+     * Update the selected devices after the user changes the device selector.
+     *
+     * In single selection mode only the first checked device is selected. The
+     * new selection is saved in the module's directory so that it can be
+     * restored the next time the module loads. If the selection changed, the
+     * view is rendered again for the new devices and the bindings are applied
+     * to it before onDeviceSelection fires.
+    **/
+    this._changeSelectedDeviceUI = function () {
+        var handleError = function (err) {
+            self.fire(
+                'onLoadError',
+                [ err ],
+                function (shouldContinue) { self.runLoop = shouldContinue; }
+            );
         };
 
-        var injectHTMLTemplate = function (htmlContents) {
-            var deferred = q.defer();
-            self.jquery.html(DEVICE_VIEW_TARGET, htmlContents);
-            deferred.resolve();
-            return deferred.promise;
-        };
+        var newSelection = [];
+        self.jquery.getSelectedSerials().forEach(function (serial) {
+            var deviceIndex = findDevice(devices, String(serial));
+            if (deviceIndex != -1 && isCompatible(devices[deviceIndex]))
+                newSelection.push(devices[deviceIndex]);
+        });
+
+        if (deviceSelectionMode === 'single')
+            newSelection = newSelection.slice(0, 1);
+
+        // The user's choice replaces any devices waiting to reconnect
+        reconnectingSerials = [];
+        self._SetSelectedDevices(newSelection);
+        saveDeviceSelection().fail(handleError);
+        refreshDeviceView().fail(handleError).then(function () {
+            self.fire('onDeviceSelection', [], handleError);
+        });
+    };
+
+    /**
+     * Get the currently selected device.
+     *
+     * @return {presenter.Device} The device selected as the "active" device.
+     *      If more than one device is selected, this is the first of them.
+    **/
+    this.getSelectedDevice = function () {
+        if (self.selectedDevices.length == 0)
+            return null;
+        else
+            return self.selectedDevices[0];
+    };
+    var getSelectedDevice = this.getSelectedDevice;
+
+    /**
+     * Get all of the currently selected devices.
+     *
+     * @return {Array} The selected devices. Has at most one element unless
+     *      the device selection mode is "multiple".
+    **/
+    this.getSelectedDevices = function () {
+        return self.selectedDevices.slice();
+    };
+    var getSelectedDevices = this.getSelectedDevices;
+
+    /**
+     * Get the values read from each device on the last loop iteration.
+     *
+     * @return {dict} Dictionary mapping device serial number (as a string) to
+     *      a dictionary mapping register name to the value read from that
+     *      device.
+    **/
+    this.getValuesByDevice = function () {
+        return lastValuesByDevice;
+    };
+    var getValuesByDevice = this.getValuesByDevice;
+
+    /**
+     * Start saving the values read by the refresh loop to log files.
+     *
+     * Each time onRefreshed fires, the values read from the first selected
+     * device are appended to the log with the time they were read. Writes
+     * go through fs_facade.
+     *
+     * @param {Object} options Object describing where and how to log. See
+     *      data_logger.DataLogger.
+     * @return {q.promise} Promise that resolves to the data_logger.DataLogger
+     *      after logging starts. Rejects with an object whose msg attribute
+     *      describes the problems with options and whose errors attribute
+     *      lists them, or if the framework is already logging.
+    **/
+    this.startLogging = function (options) {
+        if (dataLogger !== null)
+            return q.reject('Already logging.');
+
+        var problems = data_logger.validateOptions(options);
+        if (problems.length > 0)
+            return q.reject({ msg: problems.join('; '), errors: problems });
+
+        dataLogger = new data_logger.DataLogger(options);
+        dataLogger.start(self);
+        return q.resolve(dataLogger);
+    };
+
+    /**
+     * Stop saving values started by startLogging.
+     *
+     * @return {q.promise} Promise that resolves after the values already
+     *      logged are written.
+    **/
+    this.stopLogging = function () {
+        if (dataLogger === null)
+            return q.resolve();
+
+        var stoppedLogger = dataLogger;
+        dataLogger = null;
+        return stoppedLogger.stop();
+    };
 
-        var attachListeners = function () {
-            self.jquery.on(
-                '.device-selection-radio',
-                'click',
-                self._changeSelectedDeviceUI
-            );
-            self.jquery.find('.device-selection-radio').first().prop(
-                'checked', true);
+    /**
+     * Get the information about a device saved in recorded sessions.
+     *
+     * @param {Object} device The device to describe.
+     * @return {Object} Object with the device's serial, deviceType,
+     *      firmwareVersion, and name. Attributes the device cannot report are
+     *      null.
+    **/
+    var getRecordedDeviceInfo = function (device) {
+        var viewInfo = getDeviceViewInfo(device);
+        var firmwareVersion = null;
+        if (device.getFirmwareVersion)
+            firmwareVersion = device.getFirmwareVersion();
+
+        return {
+            serial: viewInfo.serial,
+            deviceType: viewInfo.deviceType,
+            firmwareVersion: firmwareVersion,
+            name: viewInfo.name
         };
-
-        loadJSONFiles()
-        .then(prepareHTMLTemplate, reportLoadError)
-        .then(injectHTMLTemplate, reportLoadError)
-        .then(attachListeners, reportLoadError)
-        .then(onSuccess, reportLoadError);
     };
-    var setDeviceView = self.setDeviceView;
 
-    this._changeSelectedDeviceUI = function () {
-        var selectedCheckboxes = $('.device-selection-radio:checked');
+    /**
+     * Start recording every read and write made on the devices.
+     *
+     * The selected devices are included in the session even if nothing is
+     * read from them.
+     *
+     * @return {q.promise} Promise that resolves after recording starts.
+     *      Rejects if the framework is already recording.
+    **/
+    this.startRecording = function () {
+        if (sessionRecorder !== null)
+            return q.reject('Already recording.');
 
-        var handleError = function (err) {
-            this.fire(
-                'onLoadError',
-                [
-                    self,
-                    err,
-                    function (shouldContinue) { self.runLoop = shouldContinue; }
-                ]
-            );
+        sessionRecorder = new session_recorder.SessionRecorder();
+        self.selectedDevices.forEach(function (device) {
+            sessionRecorder.addDevice(getRecordedDeviceInfo(device));
+        });
+        return q.resolve();
+    };
+
+    /**
+     * Stop recording started by startRecording and save the session.
+     *
+     * @param {String} location The full path of the JSON file to save the
+     *      session to. Optional. If not given, the session is not saved.
+     * @return {q.promise} Promise that resolves to the recorded session (see
+     *      session_recorder.SessionRecorder.getSession) after it is saved.
+     *      Rejects if the framework is not recording or the file could not
+     *      be written.
+    **/
+    this.stopRecording = function (location) {
+        var deferred = q.defer();
+        if (sessionRecorder === null) {
+            deferred.reject('Not recording.');
+            return deferred.promise;
         }
 
-        var selectedDevices = $('.device-selection-radio:checked').map(
-            function () {
-                var numDevices = devices.length;
-                var serial = this.id.replace('-selector', '');
-                for (var i=0; i<numDevices; i++) {
-                    if (devices[i].getSerial() === serial)
-                        return devices[i];
-                }
-                return null;
-            }
-        );
-        this._SetSelectedDevices([selectedDevices[0]]);
+        var session = sessionRecorder.getSession();
+        sessionRecorder = null;
 
-        this.fire(
-            'onDeviceSelection',
-            [self, handleError, function () {}]
-        );
+        if (location === undefined) {
+            deferred.resolve(session);
+            return deferred.promise;
+        }
+
+        fs_facade.saveJSON(location, session, deferred.reject, function () {
+            deferred.resolve(session);
+        });
+        return deferred.promise;
     };
 
     /**
-     * Get the currently selected device.
+     * Replace the devices with replays of a recorded session.
      *
-     * @return {presenter.Device} The device selected as the "active" device.
+     * Each device in the session is replaced by a
+     * session_recorder.ReplayDevice that answers reads with the recorded
+     * values as the replay progresses. The devices are set as in setDevices,
+     * so the devices they replace are not selected again if they reconnect.
+     * If the refresh loop was running, it continues with the replay devices
+     * that are selected in their place (see restoreDeviceSelection).
+     *
+     * @param {String} location The full path of the session's JSON file.
+     * @param {Object} options Object with an optional speed attribute giving
+     *      how many times faster than recorded to replay. Optional.
+     * @return {q.promise} Promise that resolves to the replay devices after
+     *      they are set. Rejects if the session could not be loaded or is
+     *      invalid.
     **/
-    this.getSelectedDevice = function () {
-        if (self.selectedDevices.length == 0)
-            return null;
-        else
-            return self.selectedDevices[0];
+    this.replaySession = function (location, options) {
+        var deferred = q.defer();
+
+        var startReplay = function (session) {
+            var problems = session_recorder.validateSession(session);
+            if (problems.length > 0) {
+                deferred.reject({ msg: problems.join('; '), errors: problems });
+                return;
+            }
+
+            var replayDevices = session_recorder.createReplayDevices(
+                session,
+                options
+            );
+            setDevices(replayDevices).then(
+                function () { deferred.resolve(replayDevices); },
+                deferred.reject
+            );
+        };
+
+        fs_facade.getJSON(location, deferred.reject, startReplay);
+        return deferred.promise;
     };
-    var getSelectedDevice = this.getSelectedDevice;
 
     /**
      * Function that should be called after all of the bindings have been added.
@@ -638,31 +2822,293 @@ function Framework() {
         });
     };
 
+    // Handle for the timer that will start the next loop iteration
+    var loopTimer = null;
+    var iterationInProgress = false;
+
+    // Wall clock time at which the bindings with each period are next due to
+    // be read, keyed by period. The framework refresh rate has its own entry.
+    var nextDueTimes = dict({});
+    var lastRefreshStart = null;
+    var loopStats = {
+        iterations: 0,
+        missedDeadlines: 0,
+        achievedRefreshRate: null
+    };
+
+    /**
+     * Get the periods on which the refresh loop needs to run.
+     *
+     * @return {Array} The framework refresh rate followed by the distinct
+     *      periods of the read bindings that are not paused or disabled.
+    **/
+    var getActivePeriods = function () {
+        var periods = [self.refreshRate];
+        self.readBindings.forEach(function (bindingInfo) {
+            var period = getBindingPeriod(bindingInfo);
+            if (isPolled(bindingInfo) && periods.indexOf(period) == -1)
+                periods.push(period);
+        });
+        return periods;
+    };
+
+    /**
+     * Get when the bindings with a period are next due to be read.
+     *
+     * @param {int} period The period of the bindings.
+     * @param {int} now The current time in milliseconds since the epoch.
+     * @return {int} The time the bindings are due. Bindings that have not
+     *      been read since the loop started are due now.
+    **/
+    var getNextDueTime = function (period, now) {
+        return nextDueTimes.get(String(period), now);
+    };
+
+    /**
+     * Schedule the next read of the bindings with a period.
+     *
+     * Reads stay on their original cadence unless the loop fell a whole period
+     * behind, in which case the missed reads are skipped.
+     *
+     * @param {int} period The period of the bindings that are being read.
+     * @param {int} now The current time in milliseconds since the epoch.
+    **/
+    var markPeriodRead = function (period, now) {
+        var nextDue = getNextDueTime(period, now) + period;
+        if (nextDue <= now)
+            nextDue = now + period;
+        nextDueTimes.set(String(period), nextDue);
+    };
+
+    /**
+     * Run a loop iteration and then schedule the one after it.
+     *
+     * Each iteration reads the bindings whose periods are due and the loop then
+     * sleeps until the next period is due. The next iteration is scheduled
+     * only after the current one finishes so that iterations never overlap.
+     * If an iteration took longer than the framework refresh rate, the missed
+     * deadline is reported through the onRefreshDeadlineMissed event.
+    **/
+    var runScheduledIteration = function () {
+        loopTimer = null;
+        if (!self.runLoop)
+            return;
+
+        var iterationStart = Date.now();
+        var duePeriods = getActivePeriods().filter(function (period) {
+            return getNextDueTime(period, iterationStart) <= iterationStart;
+        });
+        duePeriods.forEach(function (period) {
+            markPeriodRead(period, iterationStart);
+        });
+
+        var refreshDue = duePeriods.indexOf(self.refreshRate) != -1;
+        if (refreshDue) {
+            if (lastRefreshStart !== null) {
+                loopStats.achievedRefreshRate =
+                    iterationStart - lastRefreshStart;
+            }
+            lastRefreshStart = iterationStart;
+        }
+
+        var scheduleNext = function () {
+            iterationInProgress = false;
+            if (!self.runLoop || loopTimer !== null)
+                return;
+
+            var now = Date.now();
+            var elapsed = now - iterationStart;
+            if (duePeriods.length > 0 && elapsed > self.refreshRate) {
+                loopStats.missedDeadlines++;
+                self.fire(
+                    'onRefreshDeadlineMissed',
+                    [ elapsed, self.refreshRate ],
+                    ignoreListenerError
+                );
+            }
+
+            var nextDue = Math.min.apply(
+                null,
+                getActivePeriods().map(function (period) {
+                    return getNextDueTime(period, now);
+                })
+            );
+            loopTimer = setTimeout(
+                runScheduledIteration,
+                Math.max(0, nextDue - now)
+            );
+        };
+
+        // Timers may fire slightly early, before anything is due
+        if (duePeriods.length == 0) {
+            scheduleNext();
+            return;
+        }
+
+        loopStats.iterations++;
+        iterationInProgress = true;
+        q(self.loopIteration(duePeriods)).then(scheduleNext, scheduleNext);
+    };
+
     /**
      * Stop the module's refresh loop.
     **/
     this.stopLoop = function () {
         self.runLoop = false;
+        if (loopTimer !== null) {
+            clearTimeout(loopTimer);
+            loopTimer = null;
+        }
     };
     var stopLoop = this.stopLoop;
 
     /**
      * Start the module's refresh loop.
+     *
+     * The loop runs until stopLoop is called. Each iteration reads the bindings
+     * whose period has elapsed, so the loop runs only when a binding or the
+     * refresh rate is due.
     **/
     this.startLoop = function () {
         self.runLoop = true;
-        self.loopIteration();
+        if (iterationInProgress || loopTimer !== null)
+            return;
+
+        // Failures from before the loop stopped do not count toward stopping
+        // it again
+        consecutiveReadFailures = 0;
+        lastRefreshStart = null;
+        nextDueTimes.clear();
+        runScheduledIteration();
     };
     var startLoop = this.startLoop;
 
+    /**
+     * Get information about how well the refresh loop is keeping up.
+     *
+     * @return {Object} Object with the number of iterations run, the number of
+     *      iterations that took longer than the refresh rate
+     *      (missedDeadlines), and the number of milliseconds between the start
+     *      of the last two iterations on which the refresh rate was due
+     *      (achievedRefreshRate).
+    **/
+    this.getLoopStats = function () {
+        return {
+            iterations: loopStats.iterations,
+            missedDeadlines: loopStats.missedDeadlines,
+            achievedRefreshRate: loopStats.achievedRefreshRate
+        };
+    };
+    var getLoopStats = this.getLoopStats;
+
+    /**
+     * Mark the elements for values that could not be read as stale.
+     *
+     * @param {Array} elementIds The IDs of the elements whose values could not
+     *      be read.
+    **/
+    var markStale = function (elementIds) {
+        elementIds.forEach(function (elementId) {
+            var jquerySelector = '#' + elementId;
+            staleBindings.set(elementId, true);
+            self.jquery.addClass(jquerySelector, STALE_VALUE_CLASS);
+
+            var lastGood = lastGoodReadTimes.get(elementId, null);
+            if (lastGood !== null) {
+                self.jquery.attr(
+                    jquerySelector,
+                    LAST_GOOD_ATTR,
+                    new Date(lastGood).toISOString()
+                );
+            }
+        });
+    };
+
+    /**
+     * Clear the stale marking from elements whose values were read.
+     *
+     * @param {Array} elementIds The IDs of the elements whose values were
+     *      read successfully.
+    **/
+    var clearStale = function (elementIds) {
+        var now = Date.now();
+        elementIds.forEach(function (elementId) {
+            lastGoodReadTimes.set(elementId, now);
+            if (staleBindings.has(elementId)) {
+                staleBindings.delete(elementId);
+                self.jquery.removeClass('#' + elementId, STALE_VALUE_CLASS);
+            }
+        });
+    };
+
+    /**
+     * Determine which reads the loop needs to make on each selected device.
+     *
+     * @param {Array} dueBindings The read bindings due on this iteration.
+     * @return {Array} Array of Object with the device to read from, the
+     *      register names or addresses to read (addresses), the same
+     *      registers as given to the device's readMany function (registers,
+     *      see getDeviceRegister), and the IDs of the elements that will
+     *      display those values (elementIds). The first selected device is
+     *      always included so that the loop keeps its refresh rate even
+     *      without any bindings.
+    **/
+    var planDeviceReads = function (dueBindings) {
+        var reads = [];
+        var primaryDevice = self.getSelectedDevice();
+
+        self.selectedDevices.forEach(function (device) {
+            var addresses = [];
+            var registers = [];
+            var elementIds = [];
+
+            dueBindings.forEach(function (bindingInfo) {
+                if (getBindingDevices(bindingInfo).indexOf(device) == -1)
+                    return;
+                getBindingSources(bindingInfo).forEach(function (source) {
+                    var registerKey = getRegisterKey(
+                        source,
+                        bindingInfo.dataType
+                    );
+                    if (addresses.indexOf(registerKey) != -1)
+                        return;
+                    addresses.push(registerKey);
+                    registers.push(
+                        getDeviceRegister(source, bindingInfo.dataType)
+                    );
+                });
+                elementIds.push(getElementId(bindingInfo, device));
+            });
+
+            if (addresses.length > 0 || device === primaryDevice) {
+                reads.push({
+                    device: device,
+                    addresses: addresses,
+                    registers: registers,
+                    elementIds: elementIds
+                });
+            }
+        });
+
+        return reads;
+    };
+
     /**
      * Function to run a single iteration of the module's refresh loop.
      *
+     * Only the read bindings whose periods are due on this iteration are read
+     * from the device. If no bindings are due and the framework refresh rate
+     * is not due, the iteration finishes without reading or firing any events.
+     *
+     * @param {Array} duePeriods The periods in milliseconds of the bindings
+     *      to read. The iteration also runs if the refresh rate is one of
+     *      them. Optional. If not given, every binding that is not paused or
+     *      disabled is read.
      * @return {q.promise} Promise that resolves after the iteration of the
      *      refresh loop finishes running. Rejects if an error was encountered
      *      during the loop iteration.
     **/
-    this.loopIteration = function () {
+    this.loopIteration = function (duePeriods) {
         var deferred = q.defer();
 
         if (!self.runLoop) {
@@ -670,21 +3116,49 @@ function Framework() {
             return deferred.promise;
         }
 
+        var isDue = function (period) {
+            return duePeriods === undefined ||
+                duePeriods.indexOf(period) != -1;
+        };
+
+        var dueBindings = [];
+        self.readBindings.forEach(function (bindingInfo) {
+            if (isPolled(bindingInfo) && isDue(getBindingPeriod(bindingInfo)))
+                dueBindings.push(bindingInfo);
+        });
+
+        if (dueBindings.length == 0 && !isDue(self.refreshRate)) {
+            deferred.resolve();
+            return deferred.promise;
+        }
+
         var reportError = function (details) {
+            var message = 'Failed loop iteration.';
+            var maxFailures = readRetryPolicy.maxConsecutiveFailures;
+            if (consecutiveReadFailures >= maxFailures) {
+                message = 'Too many consecutive read failures.';
+                self.stopLoop();
+            }
+
             self.fire(
                 'onRefreshError',
-                [ 'Failed loop iteration.' ],
+                [ message ],
                 function (shouldContinue) { self.runLoop = shouldContinue; }
             );
             deferred.reject(details);
         };
 
+        var deviceReads = planDeviceReads(dueBindings);
+
         var getNeededAddresses = function () {
             var innerDeferred = q.defer();
             var addresses = [];
 
-            self.readBindings.forEach(function (value, key) {
-                addresses.push(value.binding);
+            deviceReads.forEach(function (deviceRead) {
+                deviceRead.addresses.forEach(function (address) {
+                    if (addresses.indexOf(address) == -1)
+                        addresses.push(address);
+                });
             });
 
             innerDeferred.resolve(addresses);
@@ -702,42 +3176,129 @@ function Framework() {
             return innerDeferred.promise;
         };
 
-        var requestDeviceValues = function (addresses) {
-            var innerDeferred = q.defer();
-            var device = self.getSelectedDevice();
-            
-            device.readMany(addresses)
-            .then(
-                function (values) {
-                    innerDeferred.resolve({
-                        values: values,
-                        addresses: addresses
+        var readDevice = function (deviceRead) {
+            var device = deviceRead.device;
+            var addresses = deviceRead.addresses;
+
+            var attemptRead = function (attempt) {
+                return getWriteQueue(device).read(function () {
+                    return device.readMany(deviceRead.registers);
+                })
+                .fail(function (err) {
+                    if (sessionRecorder !== null) {
+                        sessionRecorder.recordReadError(
+                            getRecordedDeviceInfo(device),
+                            addresses,
+                            err
+                        );
+                    }
+                    if (attempt >= readRetryPolicy.retries || !self.runLoop)
+                        throw err;
+
+                    var delay = Math.min(
+                        readRetryPolicy.maxDelay,
+                        readRetryPolicy.initialDelay * Math.pow(
+                            readRetryPolicy.backoffFactor,
+                            attempt
+                        )
+                    );
+                    return q.delay(delay).then(function () {
+                        return attemptRead(attempt + 1);
                     });
-                },
-                innerDeferred.reject
-            );
+                });
+            };
+
+            return attemptRead(0).then(function (values) {
+                if (sessionRecorder !== null) {
+                    sessionRecorder.recordRead(
+                        getRecordedDeviceInfo(device),
+                        addresses,
+                        values
+                    );
+                }
+                return values;
+            });
+        };
+
+        // Devices are read in parallel. If only some of them fail, the values
+        // from the others are still displayed before the error is reported.
+        var readFailure = null;
+        var requestDeviceValues = function () {
+            var innerDeferred = q.defer();
+
+            q.allSettled(deviceReads.map(readDevice)).then(function (results) {
+                var valuesInfo = [];
+                var numResults = results.length;
+                for (var i=0; i<numResults; i++) {
+                    var deviceRead = deviceReads[i];
+                    if (results[i].state === 'fulfilled') {
+                        clearStale(deviceRead.elementIds);
+                        valuesInfo.push({
+                            device: deviceRead.device,
+                            values: results[i].value,
+                            addresses: deviceRead.addresses
+                        });
+                    } else {
+                        markStale(deviceRead.elementIds);
+                        if (readFailure === null)
+                            readFailure = results[i].reason;
+                    }
+                }
+
+                if (readFailure === null && consecutiveReadFailures > 0) {
+                    var numFailures = consecutiveReadFailures;
+                    consecutiveReadFailures = 0;
+                    self.fire(
+                        'onRefreshRecovered',
+                        [ numFailures ],
+                        ignoreListenerError
+                    );
+                }
+
+                if (readFailure !== null)
+                    consecutiveReadFailures++;
+
+                if (readFailure !== null && valuesInfo.length == 0)
+                    innerDeferred.reject(readFailure);
+                else
+                    innerDeferred.resolve(valuesInfo);
+            });
 
             return innerDeferred.promise;
         };
 
         var processDeviceValues = function (valuesInfo) {
             var innerDeferred = q.defer();
-            var values = valuesInfo.values;
-            var addresses = valuesInfo.addresses;
-            var numAddresses = addresses.length;
+            var primaryDevice = self.getSelectedDevice();
             var retDict = dict();
+            var valuesByDevice = dict();
 
-            for (var i=0; i<numAddresses; i++) {
-                retDict.set(addresses[i].toString(), values[i]);
-            }
+            valuesInfo.forEach(function (deviceValuesInfo) {
+                var values = deviceValuesInfo.values;
+                var addresses = deviceValuesInfo.addresses;
+                var numAddresses = addresses.length;
+                var deviceDict = dict();
+
+                for (var i=0; i<numAddresses; i++) {
+                    deviceDict.set(addresses[i].toString(), values[i]);
+                }
+
+                valuesByDevice.set(
+                    getSerial(deviceValuesInfo.device),
+                    deviceDict
+                );
+                if (deviceValuesInfo.device === primaryDevice)
+                    retDict = deviceDict;
+            });
 
+            lastValuesByDevice = valuesByDevice;
             innerDeferred.resolve(retDict);
             return innerDeferred.promise;
         };
 
         var alertOn = function (valuesDict) {
             var innerDeferred = q.defer();
-            self._OnRead(valuesDict);
+            self._OnRead(valuesDict, lastValuesByDevice);
             innerDeferred.resolve(valuesDict);
             return innerDeferred.promise;
         };
@@ -753,21 +3314,20 @@ function Framework() {
             return innerDeferred.promise;
         };
 
-        var setTimeout = function () {
-            var innerDeferred = q.defer();
-            //setTimeout(self.loopIteration, 10000);
-            innerDeferred.resolve();
-            return innerDeferred.promise;
+        var checkPartialFailure = function () {
+            if (readFailure !== null)
+                throw readFailure;
         };
 
+        // Errors skip the remaining steps and are reported once
         getNeededAddresses()
-        .then(alertRefresh, reportError)
-        .then(requestDeviceValues, reportError)
-        .then(processDeviceValues, reportError)
-        .then(alertOn, reportError)
-        .then(alertRefreshed, reportError)
-        .then(setTimeout, reportError)
-        .then(deferred.resolve, deferred.reject);
+        .then(alertRefresh)
+        .then(requestDeviceValues)
+        .then(processDeviceValues)
+        .then(alertOn)
+        .then(alertRefreshed)
+        .then(checkPartialFailure)
+        .then(deferred.resolve, reportError);
 
         return deferred.promise;
     };
@@ -779,26 +3339,255 @@ function Framework() {
      * @return {int} The number of bindings registered for this module.
     **/
     this.numBindings = function () {
-        return self.bindings.size();
+        return self.bindings.size;
     };
     var numBindings = this.numBindings;
 
-    this._OnRead = function (valueReadFromDevice) {
+    /**
+     * Get the value a read binding should display from the values read.
+     *
+     * The values of the binding's registers are given to its condition and
+     * compute functions in an object that maps each register, as written in
+     * the binding, to its value. Errors thrown by these functions are
+     * reported through the onRefreshError event.
+     *
+     * @param {Object} bindingInfo The binding to get the value for.
+     * @param {dict} valuesDict Dictionary mapping register name to the value
+     *      read from the device.
+     * @return {Object} The value read or computed for the binding. Undefined
+     *      if a register was not read or the binding's condition is not met.
+    **/
+    var computeReadValue = function (bindingInfo, valuesDict) {
+        var sourceValues = {};
+        var missingValue = false;
+        getBindingSources(bindingInfo).forEach(function (source) {
+            var registerKey = getRegisterKey(source, bindingInfo.dataType);
+            var value = valuesDict.get(registerKey.toString());
+            if (value === undefined)
+                missingValue = true;
+            sourceValues[source] = value;
+        });
+
+        if (missingValue)
+            return undefined;
+
+        try {
+            var condition = bindingInfo.condition;
+            if (condition && !condition(sourceValues, bindingInfo))
+                return undefined;
+
+            if (bindingInfo.compute === undefined)
+                return sourceValues[bindingInfo.binding];
+            return bindingInfo.compute(sourceValues, bindingInfo);
+        } catch (err) {
+            self.fire(
+                'onRefreshError',
+                [ 'Could not compute ' + bindingInfo.template + ': ' + err ],
+                function (shouldContinue) { self.runLoop = shouldContinue; }
+            );
+            return undefined;
+        }
+    };
+
+    /**
+     * Apply the DOM updates waiting for the next animation frame.
+    **/
+    var flushRenders = function () {
+        var renders = pendingRenders;
+        pendingRenders = dict({});
+        renderFrameRequested = false;
+
+        renders.forEach(function (render) {
+            render();
+        });
+    };
+
+    /**
+     * Update an element's displayed value in the next animation frame.
+     *
+     * Updates made before the frame are batched together and only the latest
+     * value for each element is applied. If animation frames are not
+     * available, the element is updated right away.
+     *
+     * @param {String} elementId The ID of the element to update.
+     * @param {function} render Function that updates the element.
+    **/
+    var queueRender = function (elementId, render) {
+        pendingRenders.set(elementId, render);
+
+        if (typeof requestAnimationFrame !== 'function') {
+            flushRenders();
+            return;
+        }
+
+        if (!renderFrameRequested) {
+            renderFrameRequested = true;
+            requestAnimationFrame(flushRenders);
+        }
+    };
+
+    /**
+     * Determine if a new value is too close to the displayed one to render.
+     *
+     * @param {Object} bindingInfo The binding with the deadband to apply.
+     * @param {Object} renderedVal The value the element currently displays.
+     * @param {Object} valRead The newly read value.
+     * @return {boolean} True if both values are numbers that differ by less
+     *      than the binding's deadband attribute.
+    **/
+    var withinDeadband = function (bindingInfo, renderedVal, valRead) {
+        var deadband = bindingInfo.deadband;
+        if (deadband === undefined || typeof valRead !== 'number' ||
+            typeof renderedVal !== 'number') {
+            return false;
+        }
+        return Math.abs(valRead - renderedVal) < deadband;
+    };
+
+    /**
+     * Determine what a render target will show for a value.
+     *
+     * @param {Object} target The target as returned by getRenderTarget.
+     * @param {Object} valRead The raw value read from the device.
+     * @param {Object} displayVal The value after the binding's formatter.
+     * @return {Object} True or false for checked and class targets, the CSS
+     *      width for width targets, and the formatted value otherwise.
+    **/
+    var getTargetState = function (target, valRead, displayVal) {
+        if (target.type === 'checked' || target.type === 'class')
+            return Boolean(valRead);
+
+        if (target.type === 'width') {
+            var fraction = (valRead - target.min) / (target.max - target.min);
+            var percent = Math.min(Math.max(fraction * 100, 0), 100);
+            return percent + '%';
+        }
+
+        return displayVal;
+    };
+
+    /**
+     * Show a value in an element through a binding's render target.
+     *
+     * @param {Object} target The target as returned by getRenderTarget.
+     * @param {String} elementId The ID of the element to update.
+     * @param {Object} state The value to show as returned by getTargetState.
+     * @param {Object} valRead The raw value read from the device.
+     * @param {Object} bindingInfo The binding being displayed.
+    **/
+    var applyTarget = function (target, elementId, state, valRead,
+        bindingInfo) {
+        var jquerySelector = '#' + elementId;
         var jquery = self.jquery;
-        self.readBindings.forEach(function (bindingInfo, template) {
-            var bindingName = bindingInfo.binding;
-            var valRead = valueReadFromDevice.get(bindingName.toString());
+
+        if (target.type === 'value')
+            jquery.val(jquerySelector, state);
+        else if (target.type === 'checked')
+            jquery.prop(jquerySelector, 'checked', state);
+        else if (target.type === 'width')
+            jquery.css(jquerySelector, 'width', state);
+        else if (target.type === 'attr')
+            jquery.attr(jquerySelector, target.name, state);
+        else if (target.type === 'class')
+            jquery.toggleClass(jquerySelector, target.name, state);
+        else if (target.type === 'callback')
+            target.callback(jquerySelector, state, valRead, bindingInfo);
+        else
+            jquery.html(jquerySelector, state);
+    };
+
+    /**
+     * Display a value read from the device in a read binding's element.
+     *
+     * @param {Object} bindingInfo The binding to display the value for.
+     * @param {Object} valRead The raw value read from the device.
+     * @param {String} elementId The ID of the element to display the value
+     *      in. Optional. Defaults to the binding's template.
+     * @param {boolean} onlyIfChanged If true, the element is left alone when
+     *      it already shows the value (see getTargetState) or the value is
+     *      within the binding's deadband. Optional. Defaults to false.
+    **/
+    var renderReadValue = function (bindingInfo, valRead, elementId,
+        onlyIfChanged) {
+        if (elementId === undefined)
+            elementId = bindingInfo.template;
+
+        var rendered = renderedValues.get(elementId, null);
+        var checkChange = onlyIfChanged && rendered !== null;
+        if (checkChange && withinDeadband(bindingInfo, rendered.value, valRead))
+            return;
+
+        // Computed values do not come from a single register
+        var register = null;
+        if (bindingInfo.sources === undefined) {
+            register = register_map.resolveRegister(
+                bindingInfo.binding,
+                bindingInfo.dataType
+            );
+        }
+
+        var displayVal = value_formatters.formatValue(
+            valRead,
+            bindingInfo.formatter,
+            bindingInfo,
+            register
+        );
+        var target = getRenderTarget(bindingInfo);
+        var state = getTargetState(target, valRead, displayVal);
+        if (checkChange && rendered.state === state)
+            return;
+
+        renderedValues.set(elementId, {value: valRead, state: state});
+        queueRender(elementId, function () {
+            applyTarget(target, elementId, state, valRead, bindingInfo);
+        });
+    };
+
+    /**
+     * Display newly read values in the elements of the read bindings.
+     *
+     * Elements are only updated when their displayed value changes (see
+     * renderReadValue) and the updates are batched into one animation frame.
+     *
+     * @param {dict} valueReadFromDevice Dictionary mapping register name to the
+     *      value read from the first selected device.
+     * @param {dict} valuesByDevice Dictionary mapping device serial number to
+     *      a dictionary of values read from that device. Used for bindings
+     *      with a devices attribute. Optional.
+    **/
+    this._OnRead = function (valueReadFromDevice, valuesByDevice) {
+        var renderFromDict = function (bindingInfo, elementId, valuesDict) {
+            var valRead = computeReadValue(bindingInfo, valuesDict);
             if (valRead !== undefined) {
-                var jquerySelector = '#' + bindingInfo.template;
-                jquery.html(jquerySelector, valRead);
+                lastReadValues.set(elementId, valRead);
+                if (!editingBindings.has(elementId))
+                    renderReadValue(bindingInfo, valRead, elementId, true);
             }
+        };
+
+        self.readBindings.forEach(function (bindingInfo, template) {
+            if (bindingInfo.devices === undefined || !valuesByDevice) {
+                renderFromDict(bindingInfo, template, valueReadFromDevice);
+                return;
+            }
+
+            getBindingDevices(bindingInfo).forEach(function (device) {
+                var deviceValues = valuesByDevice.get(getSerial(device), null);
+                if (deviceValues !== null) {
+                    renderFromDict(
+                        bindingInfo,
+                        getElementId(bindingInfo, device),
+                        deviceValues
+                    );
+                }
+            });
         });
     };
     var _OnRead = _OnRead;
 
     this._OnConfigControlEvent = function (event) {
-        self.fire('onRegisterWrite', [event]);
-        self.fire('onRegisterWritten', [event]);
+        self.fire('onRegisterWrite', [event], ignoreListenerError);
+        self.fire('onRegisterWritten', [event], ignoreListenerError);
     };
     var _OnConfigControlEvent = _OnConfigControlEvent;
 }
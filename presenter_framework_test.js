@@ -10,6 +10,8 @@ var dict = require('dict');
 var q = require('q');
 var rewire = require('rewire');
 
+var fs_facade = require('./fs_facade');
+var session_recorder = require('./session_recorder');
 var presenter_framework = rewire('./presenter_framework.js');
 
 
@@ -17,19 +19,74 @@ function TestJQuery() {
 
     this.events = [];
     this.updates = [];
+    this.classChanges = [];
+    this.valUpdates = [];
+    this.attrUpdates = [];
+    this.propUpdates = [];
+    this.cssUpdates = [];
     this.nextVal = null;
     this.nextSerials = [];
+    this.checkedElements = [];
+    this.missingElements = [];
 
     this.on = function (element, event, listener) {
         this.events.push({element: element, event: event, listener: listener});
     };
 
+    this.off = function (element, event) {
+        this.events = this.events.filter(function (eventInfo) {
+            return eventInfo.element !== element || eventInfo.event !== event;
+        });
+    };
+
     this.html = function (element, newHTML) {
         this.updates.push({element: element, html: newHTML})
     };
 
-    this.val = function (element) {
-        return this.nextVal;
+    this.val = function (element, newVal) {
+        if (newVal === undefined)
+            return this.nextVal;
+        this.valUpdates.push({element: element, val: newVal});
+    };
+
+    this.addClass = function (element, className) {
+        this.classChanges.push({
+            element: element,
+            className: className,
+            added: true
+        });
+    };
+
+    this.removeClass = function (element, className) {
+        this.classChanges.push({
+            element: element,
+            className: className,
+            added: false
+        });
+    };
+
+    this.attr = function (element, name, value) {
+        this.attrUpdates.push({element: element, name: name, value: value});
+    };
+
+    this.prop = function (element, name, value) {
+        this.propUpdates.push({element: element, name: name, value: value});
+    };
+
+    this.css = function (element, name, value) {
+        this.cssUpdates.push({element: element, name: name, value: value});
+    };
+
+    this.toggleClass = function (element, className, state) {
+        this.classChanges.push({
+            element: element,
+            className: className,
+            added: state
+        });
+    };
+
+    this.exists = function (element) {
+        return this.missingElements.indexOf(element) == -1;
     };
 
     this.getSelectedSerials = function () {
@@ -37,6 +94,7 @@ function TestJQuery() {
     };
 
     this.find = function (selector) {
+        var checkedElements = this.checkedElements;
         return {
             'first': function () {
                 return {
@@ -44,22 +102,41 @@ function TestJQuery() {
                         return defaultVal;
                     }
                 }
+            },
+            'prop': function (property, newVal) {
+                if (property === 'checked' && newVal)
+                    checkedElements.push(selector);
             }
         };
     };
 }
 
 
-function TestDevice() {
+function TestDevice(serial) {
+    this.serial = serial === undefined ? 470010100 : serial;
     this.writings = [];
     this.readAddresses = null;
     this.readResults = [];
+    this.writeError = null;
+    this.registerValues = {};
 
     this.write = function (register, value) {
         this.writings.push({
             register: register,
             value: value
         });
+
+        if (this.writeError !== null) {
+            var deferred = q.defer();
+            deferred.reject(this.writeError);
+            return deferred.promise;
+        }
+    };
+
+    this.read = function (register) {
+        var deferred = q.defer();
+        deferred.resolve(this.registerValues[register]);
+        return deferred.promise;
     };
 
     this.readMany = function (addresses) {
@@ -68,11 +145,57 @@ function TestDevice() {
         deferred.resolve(this.readResults);
         return deferred.promise;
     };
+
+    this.getSerial = function () {
+        return this.serial;
+    };
+}
+
+
+/**
+ * Clock for the framework whose timers fire as soon as possible.
+ *
+ * Each timer moves the framework's time forward by its delay before calling
+ * its callback so that the refresh loop can be run for seconds of simulated
+ * time without waiting.
+**/
+function FakeClock() {
+    var self = this;
+    var revert = null;
+
+    this.time = 0;
+
+    var FakeDate = function (time) { return new Date(time); };
+    FakeDate.now = function () { return self.time; };
+
+    /**
+     * Start using this clock in the framework.
+    **/
+    this.install = function () {
+        revert = presenter_framework.__set__({
+            Date: FakeDate,
+            setTimeout: function (callback, delay) {
+                return setTimeout(function () {
+                    self.time += delay;
+                    callback();
+                }, 0);
+            },
+            clearTimeout: clearTimeout
+        });
+    };
+
+    /**
+     * Go back to using the real clock in the framework.
+    **/
+    this.uninstall = function () {
+        revert();
+    };
 }
 
 
 module.exports = {
     setUp: function (callback) {
+        presenter_framework.__set__('fs_facade', fs_facade);
         this.testFramework = new presenter_framework.Framework();
         this.testJquery = new TestJQuery();
         this.testFramework._SetJQuery(this.testJquery);
@@ -86,15 +209,150 @@ module.exports = {
         this.testFramework.fire('onModuleLoad');
     },
 
-    testOnOverwrite: function (test) {
-        this.testFramework.on('onModuleLoad', function() {
+    testOnMultiple: function (test) {
+        var calls = [];
+        this.testFramework.on('onModuleLoad',
+            function (framework, onError, onSuccess) {
+                calls.push('first');
+                onSuccess();
+            }
+        );
+        this.testFramework.on('onModuleLoad',
+            function (framework, onError, onSuccess) {
+                calls.push('second');
+                onSuccess();
+            }
+        );
+        this.testFramework.fire('onModuleLoad', [], null, function () {
+            test.deepEqual(calls, ['first', 'second']);
+            test.done();
+        });
+    },
+
+    testOff: function (test) {
+        var removedListener = function () {
             test.ok(false);
+        };
+        this.testFramework.on('onModuleLoad', removedListener);
+        this.testFramework.on('onModuleLoad',
+            function (framework, onError, onSuccess) {
+                onSuccess();
+            }
+        );
+        this.testFramework.off('onModuleLoad', removedListener);
+        this.testFramework.fire('onModuleLoad', [], null, function () {
+            test.done();
         });
-        this.testFramework.on('onModuleLoad', function() {
+    },
+
+    testOnce: function (test) {
+        var numCalls = 0;
+        var self = this;
+        this.testFramework.once('onModuleLoad',
+            function (framework, onError, onSuccess) {
+                numCalls++;
+                onSuccess();
+            }
+        );
+        this.testFramework.fire('onModuleLoad', [], null, function () {
+            self.testFramework.fire('onModuleLoad', [], null, function () {
+                test.equal(numCalls, 1);
+                test.done();
+            });
+        });
+    },
+
+    testFireListenerError: function (test) {
+        this.testFramework.on('onModuleLoad',
+            function (framework, onError, onSuccess) {
+                onError('test error');
+            }
+        );
+        this.testFramework.on('onModuleLoad', function () {
+            test.ok(false);
+        });
+        this.testFramework.fire(
+            'onModuleLoad',
+            [],
+            function (err) {
+                test.equal(err, 'test error');
+                test.done();
+            },
+            function () {
+                test.ok(false);
+            }
+        );
+    },
+
+    testFireReturnsPromise: function (test) {
+        this.testFramework.on('onModuleLoad',
+            function (framework, onError, onSuccess) {
+                onSuccess();
+            }
+        );
+        this.testFramework.fire('onModuleLoad').then(function () {
+            test.ok(true);
             test.done();
         });
-        this.testFramework.fire('onModuleLoad');
+    },
+
+    testFirePromiseListener: function (test) {
+        var calls = [];
+        this.testFramework.on('onModuleLoad', function () {
+            var deferred = q.defer();
+            calls.push('promise');
+            deferred.resolve();
+            return deferred.promise;
+        });
+        this.testFramework.on('onModuleLoad',
+            function (framework, onError, onSuccess) {
+                calls.push('callback');
+                onSuccess();
+            }
+        );
+        this.testFramework.fire('onModuleLoad').then(function () {
+            test.deepEqual(calls, ['promise', 'callback']);
+            test.done();
+        });
+    },
+
+    testFirePromiseListenerError: function (test) {
+        this.testFramework.on('onModuleLoad', function () {
+            var deferred = q.defer();
+            deferred.reject('test error');
+            return deferred.promise;
+        });
+        this.testFramework.fire('onModuleLoad').then(
+            function () {
+                test.ok(false);
+            },
+            function (err) {
+                test.equal(err, 'test error');
+                test.done();
+            }
+        );
+    },
+
+    testFireHandledError: function (test) {
+        var self = this;
+        var unhandled = [];
+        var onUnhandled = function (reason) { unhandled.push(reason); };
+        process.on('unhandledRejection', onUnhandled);
+
+        self.testFramework.on('onLoadError',
+            function (framework, message, onError, onSuccess) {
+                onError(false);
+            }
+        );
+        self.testFramework.on('something fake', function () {});
+        self.testFramework.setPollingGroup('fast', -1);
 
+        setTimeout(function () {
+            process.removeListener('unhandledRejection', onUnhandled);
+            test.deepEqual(unhandled, []);
+            test.equal(self.testFramework.runLoop, false);
+            test.done();
+        }, 10);
     },
 
     testOnNonExist: function (test) {
@@ -237,6 +495,69 @@ module.exports = {
 
     },
 
+    testPutConfigBindingReplacesWrite: function (test) {
+        var self = this;
+        var testDevice = new TestDevice();
+        self.testFramework._SetSelectedDevices([testDevice]);
+
+        self.testFramework.putConfigBinding({
+            class: 'dac-controls',
+            template: 'dac',
+            binding: 'DAC0',
+            direction: 'write',
+            event: 'change'
+        });
+        self.testFramework.putConfigBinding({
+            class: 'dac-controls',
+            template: 'dac',
+            binding: 'DAC1',
+            direction: 'write',
+            event: 'change'
+        });
+
+        var dacEvents = self.testJquery.events.filter(function (eventInfo) {
+            return eventInfo.element === '#dac';
+        });
+        test.equal(dacEvents.length, 1);
+
+        self.testFramework.on('onRegisterWritten',
+            function (framework, binding, value, onError, onSuccess) {
+                test.deepEqual(testDevice.writings, [
+                    {register: 'DAC1', value: 3}
+                ]);
+                test.done();
+                onSuccess();
+            }
+        );
+        self.testJquery.nextVal = 3;
+        dacEvents[0].listener();
+    },
+
+    testPutConfigBindingReplacesRead: function (test) {
+        this.testFramework.putConfigBinding({
+            class: 'ain-inputs',
+            template: 'ain-0',
+            binding: 'AIN0',
+            direction: 'read'
+        });
+        this.testFramework.putConfigBinding({
+            class: 'dac-controls',
+            template: 'ain-0',
+            binding: 'DAC0',
+            direction: 'write',
+            event: 'change'
+        });
+
+        test.ok(!this.testFramework.readBindings.has('ain-0'));
+        test.ok(this.testFramework.writeBindings.has('ain-0'));
+
+        this.testFramework.deleteConfigBinding('ain-0');
+        test.equal(this.testFramework.numBindings(), 0);
+        test.equal(this.testFramework.readBindings.size, 0);
+        test.equal(this.testFramework.writeBindings.size, 0);
+        test.done();
+    },
+
     testDeleteConfigBindingExists: function (test) {
         this.testFramework.on('onLoadError', function () {
             test.ok(false);
@@ -271,6 +592,132 @@ module.exports = {
         this.testFramework.deleteConfigBinding(testTemplate);
     },
 
+    testDeleteClass: function (test) {
+        var self = this;
+        self.testFramework.on('onLoadError', function () {
+            test.ok(false);
+        });
+
+        self.testFramework.putConfigBinding({
+            class: 'advanced',
+            template: 'ain-#(0:1)-range',
+            binding: 'AIN#(0:1)_RANGE',
+            direction: 'readwrite',
+            event: 'change'
+        });
+        self.testFramework.putConfigBinding({
+            class: 'basic',
+            template: 'ain-0',
+            binding: 'AIN0',
+            direction: 'read'
+        });
+        self.testFramework.pauseClass('advanced');
+
+        self.testFramework.deleteClass('advanced');
+        test.equal(self.testFramework.bindings.size, 1);
+        test.ok(self.testFramework.bindings.has('ain-0'));
+        test.equal(self.testFramework.writeBindings.size, 0);
+        test.equal(self.testJquery.events.length, 0);
+        test.deepEqual(
+            self.testFramework.getClassState('advanced'),
+            {paused: false, disabled: false}
+        );
+        test.done();
+    },
+
+    testDeleteClassNotExists: function (test) {
+        this.testFramework.on('onLoadError',
+            function (framework, message, onError, onSuccess) {
+                test.equal(message, 'No bindings for class advanced');
+                test.done();
+                onSuccess();
+            }
+        );
+
+        this.testFramework.deleteClass('advanced');
+    },
+
+    testDisableClass: function (test) {
+        var self = this;
+        var testDevice = new TestDevice();
+        self.testFramework._SetSelectedDevices([testDevice]);
+
+        self.testFramework.putConfigBinding({
+            class: 'advanced',
+            template: 'dac-0',
+            binding: 'DAC0',
+            direction: 'write',
+            event: 'change'
+        });
+
+        self.testFramework.disableClass('advanced');
+        test.deepEqual(self.testJquery.attrUpdates, [
+            {element: '#dac-0', name: 'disabled', value: 'disabled'}
+        ]);
+        test.deepEqual(
+            self.testFramework.getClassState('advanced'),
+            {paused: false, disabled: true}
+        );
+
+        self.testJquery.nextVal = 1;
+        self.testJquery.events[0].listener();
+        test.equal(testDevice.writings.length, 0);
+
+        self.testFramework.enableClass('advanced');
+        test.deepEqual(self.testJquery.attrUpdates[1], {
+            element: '#dac-0',
+            name: 'disabled',
+            value: null
+        });
+
+        self.testJquery.events[0].listener();
+        q.delay(1).then(function () {
+            test.deepEqual(testDevice.writings, [{register: 'DAC0', value: 1}]);
+            test.done();
+        });
+    },
+
+    testPauseClass: function (test) {
+        var self = this;
+        var testDevice = new TestDevice();
+        testDevice.readResults = [2];
+        self.testFramework._SetSelectedDevices([testDevice]);
+
+        self.testFramework.putConfigBinding({
+            class: 'advanced',
+            template: 'ain-0-range',
+            binding: 'AIN0_RANGE',
+            direction: 'read'
+        });
+        self.testFramework.putConfigBinding({
+            class: 'basic',
+            template: 'ain-#(0:1)',
+            binding: 'AIN#(0:1)',
+            direction: 'read'
+        });
+        self.testFramework.pauseClass('advanced');
+        self.testFramework.runLoop = true;
+
+        self.testFramework.loopIteration().then(function () {
+            test.deepEqual(testDevice.readAddresses, ['AIN0', 'AIN1']);
+            test.equal(self.testFramework.getClassValues('advanced').size, 0);
+
+            var values = self.testFramework.getClassValues('basic');
+            test.equal(values.size, 1);
+            test.equal(values.get('ain-0'), 2);
+
+            self.testFramework.resumeClass('advanced');
+            return self.testFramework.loopIteration();
+        })
+        .then(function () {
+            test.deepEqual(
+                testDevice.readAddresses,
+                ['AIN0_RANGE', 'AIN0', 'AIN1']
+            );
+            test.done();
+        });
+    },
+
     testSetDeviceViewNotFound: function (test) {
         this.testFramework.on('onLoadError', function () {
             test.ok(true);
@@ -374,11 +821,76 @@ module.exports = {
         var self = this;
         this.testFramework.loopIteration = function () {
             test.ok(self.testFramework.runLoop);
+            self.testFramework.stopLoop();
             test.done();
         };
         this.testFramework.startLoop();
     },
 
+    testLoopRepeats: function (test) {
+        var self = this;
+        var numIterations = 0;
+        this.testFramework.setRefreshRate(1);
+        this.testFramework.loopIteration = function () {
+            var deferred = q.defer();
+            numIterations++;
+            if (numIterations == 3) {
+                self.testFramework.stopLoop();
+                test.equal(self.testFramework.getLoopStats().iterations, 3);
+                test.done();
+            }
+            deferred.resolve();
+            return deferred.promise;
+        };
+        this.testFramework.startLoop();
+    },
+
+    testLoopDoesNotOverlap: function (test) {
+        var self = this;
+        var inProgress = false;
+        var numIterations = 0;
+        this.testFramework.setRefreshRate(1);
+        this.testFramework.loopIteration = function () {
+            var deferred = q.defer();
+            test.ok(!inProgress);
+            inProgress = true;
+            numIterations++;
+            if (numIterations == 3) {
+                self.testFramework.stopLoop();
+                test.done();
+            }
+            setTimeout(function () {
+                inProgress = false;
+                deferred.resolve();
+            }, 5);
+            return deferred.promise;
+        };
+        this.testFramework.startLoop();
+        this.testFramework.startLoop();
+    },
+
+    testLoopDeadlineMissed: function (test) {
+        var self = this;
+        this.testFramework.setRefreshRate(1);
+        this.testFramework.loopIteration = function () {
+            var deferred = q.defer();
+            setTimeout(deferred.resolve, 5);
+            return deferred.promise;
+        };
+        this.testFramework.on('onRefreshDeadlineMissed',
+            function (framework, elapsed, refreshRate, onError, onSuccess) {
+                self.testFramework.stopLoop();
+                test.ok(elapsed > refreshRate);
+                test.equal(refreshRate, 1);
+                var loopStats = self.testFramework.getLoopStats();
+                test.equal(loopStats.missedDeadlines, 1);
+                test.done();
+                onSuccess();
+            }
+        );
+        this.testFramework.startLoop();
+    },
+
     testLoopIteration: function (test) {
         var self = this;
         var testDevice = new TestDevice();
@@ -418,24 +930,152 @@ module.exports = {
         self.testFramework.loopIteration().then(test.done);
     },
 
-    testConfigBindingSimpleRead: function (test) {
-        testBinding = {
-            class: 'ain-inputs',
+    testLoopBindingPeriods: function (test) {
+        var self = this;
+        var testDevice = new TestDevice();
+        var reads = [];
+        var clock = new FakeClock();
+        testDevice.readMany = function (addresses) {
+            var deferred = q.defer();
+            reads.push(addresses);
+            deferred.resolve(addresses.map(function () { return 0; }));
+            return deferred.promise;
+        };
+        self.testFramework._SetSelectedDevices([testDevice]);
+        clock.install();
+
+        self.testFramework.setRefreshRate(2);
+        self.testFramework.setPollingGroup('slow', 4);
+        self.testFramework.putConfigBinding({
+            class: 'dio',
+            template: 'fio-0',
+            binding: 'FIO0',
+            direction: 'read',
+            period: 1
+        });
+        self.testFramework.putConfigBinding({
+            class: 'thermocouples',
             template: 'ain-0',
             binding: 'AIN0',
-            direction: 'read'
-        };
+            direction: 'read',
+            group: 'slow'
+        });
 
-        this.testFramework.putConfigBinding(testBinding);
+        self.testFramework.on('onRefreshed',
+            function (framework, valuesDict, onError, onSuccess) {
+                if (reads.length == 5) {
+                    self.testFramework.stopLoop();
+                    clock.uninstall();
+                    test.deepEqual(reads, [
+                        ['FIO0', 'AIN0'],
+                        ['FIO0'],
+                        ['FIO0'],
+                        ['FIO0'],
+                        ['FIO0', 'AIN0']
+                    ]);
+                    test.done();
+                }
+                onSuccess();
+            }
+        );
 
-        this.testFramework._OnRead(dict({
-            'AIN0': 0
-        }));
+        self.testFramework.startLoop();
+    },
 
-        var update = this.testJquery.updates[0];
-        test.notDeepEqual(update, undefined);
-        test.deepEqual(update.element, '#ain-0');
-        test.deepEqual(update.html, 0);
+    testLoopBindingPeriodsNotDivisible: function (test) {
+        var self = this;
+        var testDevice = new TestDevice();
+        var reads = [];
+        var clock = new FakeClock();
+        testDevice.readMany = function (addresses) {
+            var deferred = q.defer();
+            reads.push({time: clock.time, addresses: addresses});
+            deferred.resolve(addresses.map(function () { return 0; }));
+            return deferred.promise;
+        };
+        self.testFramework._SetSelectedDevices([testDevice]);
+        clock.install();
+
+        self.testFramework.setRefreshRate(1000);
+        self.testFramework.putConfigBinding({
+            class: 'dio',
+            template: 'fio-0',
+            binding: 'FIO0',
+            direction: 'read',
+            period: 250
+        });
+        self.testFramework.putConfigBinding({
+            class: 'thermocouples',
+            template: 'ain-0',
+            binding: 'AIN0',
+            direction: 'read',
+            period: 333
+        });
+
+        self.testFramework.on('onRefreshed',
+            function (framework, valuesDict, onError, onSuccess) {
+                if (clock.time >= 1000) {
+                    self.testFramework.stopLoop();
+                    clock.uninstall();
+                    test.deepEqual(reads, [
+                        {time: 0, addresses: ['FIO0', 'AIN0']},
+                        {time: 250, addresses: ['FIO0']},
+                        {time: 333, addresses: ['AIN0']},
+                        {time: 500, addresses: ['FIO0']},
+                        {time: 666, addresses: ['AIN0']},
+                        {time: 750, addresses: ['FIO0']},
+                        {time: 999, addresses: ['AIN0']},
+                        {time: 1000, addresses: ['FIO0']}
+                    ]);
+
+                    var loopStats = self.testFramework.getLoopStats();
+                    test.equal(loopStats.iterations, 8);
+                    test.equal(loopStats.missedDeadlines, 0);
+                    test.equal(loopStats.achievedRefreshRate, 1000);
+                    test.done();
+                }
+                onSuccess();
+            }
+        );
+
+        self.testFramework.startLoop();
+    },
+
+    testPutConfigBindingUnknownGroup: function (test) {
+        this.testFramework.on('onLoadError', function () {
+            test.ok(true);
+        });
+
+        this.testFramework.putConfigBinding({
+            class: 'thermocouples',
+            template: 'ain-0',
+            binding: 'AIN0',
+            direction: 'read',
+            group: 'missing'
+        });
+
+        test.ok(!this.testFramework.bindings.has('ain-0'));
+        test.done();
+    },
+
+    testConfigBindingSimpleRead: function (test) {
+        testBinding = {
+            class: 'ain-inputs',
+            template: 'ain-0',
+            binding: 'AIN0',
+            direction: 'read'
+        };
+
+        this.testFramework.putConfigBinding(testBinding);
+
+        this.testFramework._OnRead(dict({
+            'AIN0': 0
+        }));
+
+        var update = this.testJquery.updates[0];
+        test.notDeepEqual(update, undefined);
+        test.deepEqual(update.element, '#ain-0');
+        test.deepEqual(update.html, 0);
         test.done();
     },
 
@@ -467,6 +1107,46 @@ module.exports = {
         test.done();
     },
 
+    testConfigBindingFormattedRead: function (test) {
+        testBinding = {
+            class: 'dio',
+            template: 'fio-#(0:1)',
+            binding: 'FIO#(0:1)',
+            direction: 'read',
+            formatter: {lookup: {'0': 'Off', '1': 'On'}}
+        };
+
+        this.testFramework.putConfigBinding(testBinding);
+
+        this.testFramework._OnRead(dict({
+            'FIO0': 0,
+            'FIO1': 1
+        }));
+
+        test.deepEqual(this.testJquery.updates, [
+            {element: '#fio-0', html: 'Off'},
+            {element: '#fio-1', html: 'On'}
+        ]);
+        test.done();
+    },
+
+    testPutConfigBindingInvalidFormatter: function (test) {
+        this.testFramework.on('onLoadError', function () {
+            test.ok(true);
+        });
+
+        this.testFramework.putConfigBinding({
+            class: 'ain-inputs',
+            template: 'ain-0',
+            binding: 'AIN0',
+            direction: 'read',
+            formatter: 'fixed'
+        });
+
+        test.ok(!this.testFramework.bindings.has('ain-0'));
+        test.done();
+    },
+
     testConfigBindingSimpleWrite: function (test) {
         var testDevice = new TestDevice();
         this.testFramework._SetSelectedDevices([testDevice]);
@@ -528,5 +1208,2026 @@ module.exports = {
 
         test.deepEqual(newEvent.event, 'change');
         newEvent.listener();
+    },
+
+    testConfigBindingInvalidWrite: function (test) {
+        var self = this;
+        var testDevice = new TestDevice();
+        this.testFramework._SetSelectedDevices([testDevice]);
+
+        this.testFramework.on('onRegisterWrite', function () {
+            test.ok(false);
+        });
+
+        this.testFramework.on('onValidationError',
+            function (framework, register, value, errors, onError, onSuccess) {
+                test.equal(register, 'DAC0');
+                test.equal(value, '6');
+                test.deepEqual(errors, ['Value must be at most 5']);
+                test.equal(testDevice.writings.length, 0);
+                test.deepEqual(self.testJquery.classChanges, [
+                    {element: '#dac-0', className: 'invalid-input', added: true}
+                ]);
+                test.done();
+                onSuccess();
+            }
+        );
+
+        this.testJquery.nextVal = '6';
+
+        this.testFramework.putConfigBinding({
+            class: 'dac-outputs',
+            template: 'dac-0',
+            binding: 'DAC0',
+            direction: 'write',
+            event: 'change',
+            validation: {type: 'number', min: 0, max: 5}
+        });
+
+        this.testJquery.events[0].listener();
+    },
+
+    testConfigBindingInvalidWriteHandled: function (test) {
+        var self = this;
+        var unhandled = [];
+        var onUnhandled = function (reason) { unhandled.push(reason); };
+        process.on('unhandledRejection', onUnhandled);
+
+        self.testFramework.on('onValidationError',
+            function (framework, register, value, errors, onError, onSuccess) {
+                test.deepEqual(errors, ['Value must be a number']);
+                onError(true);
+            }
+        );
+
+        self.testJquery.nextVal = 'abc';
+        self.testFramework.putConfigBinding({
+            class: 'dac-outputs',
+            template: 'dac-0',
+            binding: 'DAC0',
+            direction: 'write',
+            event: 'change',
+            validation: {type: 'number'}
+        });
+        self.testJquery.events[0].listener();
+
+        setTimeout(function () {
+            process.removeListener('unhandledRejection', onUnhandled);
+            test.deepEqual(unhandled, []);
+            test.done();
+        }, 10);
+    },
+
+    testConfigBindingFailedWriteHandled: function (test) {
+        var self = this;
+        var unhandled = [];
+        var onUnhandled = function (reason) { unhandled.push(reason); };
+        process.on('unhandledRejection', onUnhandled);
+
+        var testDevice = new TestDevice();
+        testDevice.writeError = 'LJM_ERR';
+        self.testFramework._SetSelectedDevices([testDevice]);
+
+        self.testFramework.on('onRegisterWriteError',
+            function (framework, register, value, err, onError, onSuccess) {
+                test.equal(err, 'LJM_ERR');
+                onError(true);
+            }
+        );
+
+        self.testJquery.nextVal = '2';
+        self.testFramework.putConfigBinding({
+            class: 'dac-outputs',
+            template: 'dac-0',
+            binding: 'DAC0',
+            direction: 'write',
+            event: 'change'
+        });
+        self.testJquery.events[0].listener();
+
+        setTimeout(function () {
+            process.removeListener('unhandledRejection', onUnhandled);
+            test.deepEqual(unhandled, []);
+            test.equal(testDevice.writings.length, 1);
+            test.done();
+        }, 10);
+    },
+
+    testConfigBindingParsedWrite: function (test) {
+        var testDevice = new TestDevice();
+        this.testFramework._SetSelectedDevices([testDevice]);
+
+        this.testFramework.on('onRegisterWritten', function () {
+            var writeOp = testDevice.writings[0];
+            test.deepEqual(writeOp.register, 'DAC0');
+            test.deepEqual(writeOp.value, 2.5);
+            test.done();
+        });
+
+        this.testJquery.nextVal = '2500';
+
+        this.testFramework.putConfigBinding({
+            class: 'dac-outputs',
+            template: 'dac-0',
+            binding: 'DAC0',
+            direction: 'write',
+            event: 'change',
+            validation: {type: 'number', min: 0, max: 5000},
+            parser: {scale: 1000}
+        });
+
+        this.testJquery.events[0].listener();
+    },
+
+    testConfigBindingReadWrite: function (test) {
+        var testDevice = new TestDevice();
+        this.testFramework._SetSelectedDevices([testDevice]);
+
+        this.testFramework.putConfigBinding({
+            class: 'setpoints',
+            template: 'setpoint',
+            binding: 'DAC0',
+            direction: 'readwrite',
+            event: 'change'
+        });
+
+        test.ok(this.testFramework.readBindings.has('setpoint'));
+        test.ok(this.testFramework.writeBindings.has('setpoint'));
+
+        var events = this.testJquery.events.map(function (event) {
+            return event.event;
+        });
+        test.deepEqual(events, ['change', 'focus', 'blur']);
+
+        this.testFramework._OnRead(dict({'DAC0': 1}));
+        test.deepEqual(this.testJquery.valUpdates, [
+            {element: '#setpoint', val: 1}
+        ]);
+        test.deepEqual(this.testJquery.updates, []);
+        test.done();
+    },
+
+    testConfigBindingReadWriteEditing: function (test) {
+        this.testFramework.putConfigBinding({
+            class: 'setpoints',
+            template: 'setpoint',
+            binding: 'DAC0',
+            direction: 'readwrite',
+            event: 'change'
+        });
+
+        var focusEvent = this.testJquery.events[1];
+        var blurEvent = this.testJquery.events[2];
+
+        this.testFramework._OnRead(dict({'DAC0': 1}));
+        focusEvent.listener();
+        this.testFramework._OnRead(dict({'DAC0': 2}));
+        test.equal(this.testJquery.valUpdates.length, 1);
+
+        blurEvent.listener();
+        test.deepEqual(this.testJquery.valUpdates[1], {
+            element: '#setpoint',
+            val: 2
+        });
+        test.done();
+    },
+
+    testConfigBindingReadWriteConflict: function (test) {
+        var self = this;
+        var testDevice = new TestDevice();
+        this.testFramework._SetSelectedDevices([testDevice]);
+
+        this.testFramework.putConfigBinding({
+            class: 'setpoints',
+            template: 'setpoint',
+            binding: 'DAC0',
+            direction: 'readwrite',
+            event: 'change'
+        });
+
+        this.testFramework.on('onWriteConflict',
+            function (framework, register, startVal, deviceVal, userVal,
+                onError, onSuccess) {
+                test.equal(register, 'DAC0');
+                test.equal(startVal, 1);
+                test.equal(deviceVal, 2);
+                test.equal(userVal, 3);
+                onError('keep device value');
+            }
+        );
+
+        var focusEvent = this.testJquery.events[1];
+
+        this.testFramework._OnRead(dict({'DAC0': 1}));
+        focusEvent.listener();
+        this.testFramework._OnRead(dict({'DAC0': 2}));
+
+        this.testJquery.nextVal = 3;
+        this.testFramework._writeToDevice(
+            this.testFramework.writeBindings.get('setpoint')
+        ).fail(function (err) {
+            test.equal(err, 'keep device value');
+            test.equal(testDevice.writings.length, 0);
+            test.deepEqual(self.testJquery.valUpdates[1], {
+                element: '#setpoint',
+                val: 2
+            });
+            test.done();
+        });
+    },
+
+    testConfigBindingWriteError: function (test) {
+        var testDevice = new TestDevice();
+        testDevice.writeError = 2605;
+        this.testFramework._SetSelectedDevices([testDevice]);
+
+        this.testFramework.on('onRegisterWritten', function () {
+            test.ok(false);
+        });
+
+        this.testFramework.on('onRegisterWriteError',
+            function (framework, register, value, err, onError, onSuccess) {
+                test.equal(register, 'DAC0');
+                test.equal(value, 1);
+                test.equal(err, 2605);
+                onSuccess();
+            }
+        );
+
+        this.testJquery.nextVal = 1;
+
+        this.testFramework.putConfigBinding({
+            class: 'dac-outputs',
+            template: 'dac-0',
+            binding: 'DAC0',
+            direction: 'write',
+            event: 'change'
+        });
+
+        this.testFramework._writeToDevice(
+            this.testFramework.writeBindings.get('dac-0')
+        ).fail(function (err) {
+            test.equal(err, 2605);
+            test.done();
+        });
+    },
+
+    testConfigBindingWriteConfirmed: function (test) {
+        var testDevice = new TestDevice();
+        testDevice.registerValues['DAC0'] = 1.0000001;
+        this.testFramework._SetSelectedDevices([testDevice]);
+
+        this.testFramework.on('onRegisterWriteError', function () {
+            test.ok(false);
+        });
+
+        this.testJquery.nextVal = 1;
+
+        this.testFramework.putConfigBinding({
+            class: 'dac-outputs',
+            template: 'dac-0',
+            binding: 'DAC0',
+            direction: 'write',
+            event: 'change',
+            confirmWrite: true
+        });
+
+        this.testFramework._writeToDevice(
+            this.testFramework.writeBindings.get('dac-0')
+        ).then(function () {
+            test.equal(testDevice.writings.length, 1);
+            test.done();
+        });
+    },
+
+    testConfigBindingWriteNotConfirmed: function (test) {
+        var testDevice = new TestDevice();
+        testDevice.registerValues['DAC0'] = 0;
+        this.testFramework._SetSelectedDevices([testDevice]);
+
+        this.testFramework.on('onRegisterWritten', function () {
+            test.ok(false);
+        });
+
+        this.testFramework.on('onRegisterWriteError',
+            function (framework, register, value, err, onError, onSuccess) {
+                test.equal(register, 'DAC0');
+                test.equal(err.expected, 1);
+                test.equal(err.actual, 0);
+                test.done();
+                onSuccess();
+            }
+        );
+
+        this.testJquery.nextVal = 1;
+
+        this.testFramework.putConfigBinding({
+            class: 'dac-outputs',
+            template: 'dac-0',
+            binding: 'DAC0',
+            direction: 'write',
+            event: 'change',
+            confirmWrite: {tolerance: 0.1}
+        });
+
+        this.testJquery.events[0].listener();
+    },
+
+    testConfigBindingDebouncedWrite: function (test) {
+        var self = this;
+        var testDevice = new TestDevice();
+        this.testFramework._SetSelectedDevices([testDevice]);
+
+        this.testFramework.on('onRegisterWritten', function () {
+            test.deepEqual(testDevice.writings, [
+                {register: 'DAC0', value: 3}
+            ]);
+            test.done();
+        });
+
+        this.testFramework.putConfigBinding({
+            class: 'dac-outputs',
+            template: 'dac-0',
+            binding: 'DAC0',
+            direction: 'write',
+            event: 'input',
+            debounce: 5
+        });
+
+        var inputEvent = this.testJquery.events[0];
+        [1, 2, 3].forEach(function (value) {
+            self.testJquery.nextVal = value;
+            inputEvent.listener();
+        });
+        test.equal(testDevice.writings.length, 0);
+    },
+
+    testConfigBindingThrottledWrite: function (test) {
+        var self = this;
+        var testDevice = new TestDevice();
+        this.testFramework._SetSelectedDevices([testDevice]);
+
+        var numWritten = 0;
+        this.testFramework.on('onRegisterWritten',
+            function (framework, register, value, onError, onSuccess) {
+                numWritten++;
+                if (numWritten == 2) {
+                    test.deepEqual(testDevice.writings, [
+                        {register: 'DAC0', value: 1},
+                        {register: 'DAC0', value: 3}
+                    ]);
+                    test.done();
+                }
+                onSuccess();
+            }
+        );
+
+        this.testFramework.putConfigBinding({
+            class: 'dac-outputs',
+            template: 'dac-0',
+            binding: 'DAC0',
+            direction: 'write',
+            event: 'input',
+            throttle: 5
+        });
+
+        var inputEvent = this.testJquery.events[0];
+        [1, 2, 3].forEach(function (value) {
+            self.testJquery.nextVal = value;
+            inputEvent.listener();
+        });
+    },
+
+    testLoopIterationReadRetry: function (test) {
+        var self = this;
+        var testDevice = new TestDevice();
+        var numReads = 0;
+        testDevice.readMany = function (addresses) {
+            var deferred = q.defer();
+            numReads++;
+            if (numReads == 1)
+                deferred.reject('LJME_MBE6_SLAVE_DEVICE_FAILURE');
+            else
+                deferred.resolve([1]);
+            return deferred.promise;
+        };
+        self.testFramework._SetSelectedDevices([testDevice]);
+        self.testFramework.setReadRetryPolicy({retries: 1, initialDelay: 1});
+
+        self.testFramework.putConfigBinding({
+            class: 'ain-inputs',
+            template: 'ain-0',
+            binding: 'AIN0',
+            direction: 'read'
+        });
+
+        self.testFramework.on('onRefreshError', function () {
+            test.ok(false);
+        });
+
+        self.testFramework.runLoop = true;
+        self.testFramework.loopIteration().then(function () {
+            test.equal(numReads, 2);
+            test.deepEqual(self.testJquery.updates, [
+                {element: '#ain-0', html: 1}
+            ]);
+            test.done();
+        });
+    },
+
+    testLoopIterationStaleValues: function (test) {
+        var self = this;
+        var testDevice = new TestDevice();
+        var failReads = false;
+        testDevice.readMany = function (addresses) {
+            var deferred = q.defer();
+            if (failReads)
+                deferred.reject('LJME_RECONNECT_FAILED');
+            else
+                deferred.resolve([1]);
+            return deferred.promise;
+        };
+        self.testFramework._SetSelectedDevices([testDevice]);
+        self.testFramework.setReadRetryPolicy({retries: 0});
+
+        self.testFramework.putConfigBinding({
+            class: 'ain-inputs',
+            template: 'ain-0',
+            binding: 'AIN0',
+            direction: 'read'
+        });
+
+        var numErrors = 0;
+        self.testFramework.on('onRefreshError',
+            function (framework, message, onError, onSuccess) {
+                numErrors++;
+                onSuccess();
+            }
+        );
+
+        self.testFramework.on('onRefreshRecovered',
+            function (framework, numFailures, onError, onSuccess) {
+                test.equal(numFailures, 1);
+                test.equal(numErrors, 1);
+                test.deepEqual(self.testJquery.classChanges, [
+                    {
+                        element: '#ain-0',
+                        className: 'stale-value',
+                        added: true
+                    },
+                    {
+                        element: '#ain-0',
+                        className: 'stale-value',
+                        added: false
+                    }
+                ]);
+                test.equal(self.testJquery.attrUpdates.length, 1);
+                test.equal(
+                    self.testJquery.attrUpdates[0].name,
+                    'data-last-good'
+                );
+                test.done();
+                onSuccess();
+            }
+        );
+
+        self.testFramework.runLoop = true;
+        self.testFramework.loopIteration()
+        .then(function () {
+            failReads = true;
+            return self.testFramework.loopIteration();
+        })
+        .fail(function () {
+            failReads = false;
+            return self.testFramework.loopIteration();
+        });
+    },
+
+    testLoopIterationTooManyFailures: function (test) {
+        var self = this;
+        var testDevice = new TestDevice();
+        testDevice.readMany = function (addresses) {
+            var deferred = q.defer();
+            deferred.reject('LJME_RECONNECT_FAILED');
+            return deferred.promise;
+        };
+        self.testFramework._SetSelectedDevices([testDevice]);
+        self.testFramework.setReadRetryPolicy({
+            retries: 0,
+            maxConsecutiveFailures: 1
+        });
+
+        self.testFramework.on('onRefreshError',
+            function (framework, message, onError, onSuccess) {
+                test.equal(message, 'Too many consecutive read failures.');
+                test.ok(!self.testFramework.runLoop);
+                test.done();
+                onSuccess();
+            }
+        );
+
+        self.testFramework.runLoop = true;
+        self.testFramework.loopIteration();
+    },
+
+    testStartLoopAfterTooManyFailures: function (test) {
+        var self = this;
+        var testDevice = new TestDevice();
+        testDevice.readMany = function (addresses) {
+            return q.reject('LJME_RECONNECT_FAILED');
+        };
+        self.testFramework._SetSelectedDevices([testDevice]);
+        self.testFramework.setReadRetryPolicy({
+            retries: 0,
+            maxConsecutiveFailures: 3
+        });
+
+        var messages = [];
+        self.testFramework.on('onRefreshError',
+            function (framework, message, onError, onSuccess) {
+                messages.push(message);
+                onSuccess();
+            }
+        );
+
+        var failIteration = function () {
+            return self.testFramework.loopIteration().then(
+                function () { test.ok(false); },
+                function () {}
+            );
+        };
+
+        self.testFramework.runLoop = true;
+        failIteration().then(failIteration).then(failIteration)
+        .then(function () {
+            test.ok(!self.testFramework.runLoop);
+            self.testFramework.startLoop();
+            return q.delay(10);
+        })
+        .then(function () {
+            test.deepEqual(messages, [
+                'Failed loop iteration.',
+                'Failed loop iteration.',
+                'Too many consecutive read failures.',
+                'Failed loop iteration.'
+            ]);
+            test.ok(self.testFramework.runLoop);
+            self.testFramework.stopLoop();
+            test.done();
+        });
+    },
+
+    testLoopIterationMultipleDevices: function (test) {
+        var self = this;
+        var firstDevice = new TestDevice(470010100);
+        var secondDevice = new TestDevice(470010101);
+        firstDevice.readResults = [1, 2];
+        secondDevice.readResults = [3];
+        self.testFramework.setDeviceSelectionMode('multiple');
+        self.testFramework._SetSelectedDevices([firstDevice, secondDevice]);
+
+        self.testFramework.putConfigBinding({
+            class: 'ain-inputs',
+            template: 'ain-0',
+            binding: 'AIN0',
+            direction: 'read',
+            devices: 'all'
+        });
+        self.testFramework.putConfigBinding({
+            class: 'ain-inputs',
+            template: 'ain-1',
+            binding: 'AIN1',
+            direction: 'read'
+        });
+
+        self.testFramework.on('onRefreshed',
+            function (framework, valuesDict, onError, onSuccess) {
+                test.deepEqual(firstDevice.readAddresses, ['AIN0', 'AIN1']);
+                test.deepEqual(secondDevice.readAddresses, ['AIN0']);
+                test.equal(valuesDict.get('AIN1'), 2);
+
+                var valuesByDevice = self.testFramework.getValuesByDevice();
+                test.equal(valuesByDevice.get('470010101').get('AIN0'), 3);
+
+                test.deepEqual(self.testJquery.updates, [
+                    {element: '#ain-0-470010100', html: 1},
+                    {element: '#ain-0-470010101', html: 3},
+                    {element: '#ain-1', html: 2}
+                ]);
+                onSuccess();
+            }
+        );
+
+        self.testFramework.runLoop = true;
+        self.testFramework.loopIteration().then(test.done);
+    },
+
+    testConfigBindingWriteAllDevices: function (test) {
+        var self = this;
+        var firstDevice = new TestDevice(470010100);
+        var secondDevice = new TestDevice(470010101);
+        self.testFramework.setDeviceSelectionMode('multiple');
+        self.testFramework._SetSelectedDevices([firstDevice, secondDevice]);
+
+        self.testFramework.putConfigBinding({
+            class: 'dac-controls',
+            template: 'dac-0',
+            binding: 'DAC0',
+            direction: 'write',
+            event: 'change',
+            devices: 'all'
+        });
+
+        self.testJquery.nextVal = 2.5;
+        self.testFramework._writeToDevice(
+            self.testFramework.writeBindings.get('dac-0')
+        ).then(function () {
+            test.deepEqual(
+                firstDevice.writings,
+                [{register: 'DAC0', value: 2.5}]
+            );
+            test.deepEqual(
+                secondDevice.writings,
+                [{register: 'DAC0', value: 2.5}]
+            );
+            test.done();
+        });
+    },
+
+    testLoopIterationAddressBindings: function (test) {
+        var self = this;
+        var testDevice = new TestDevice();
+        testDevice.readResults = [2, 7];
+        self.testFramework._SetSelectedDevices([testDevice]);
+
+        self.testFramework.putConfigBinding({
+            class: 'ain-inputs',
+            template: 'ain-1',
+            binding: 'AIN1',
+            direction: 'read'
+        });
+        self.testFramework.putConfigBinding({
+            class: 'ain-inputs',
+            template: 'ain-1-raw',
+            binding: 2,
+            direction: 'read'
+        });
+        self.testFramework.putConfigBinding({
+            class: 'raw-registers',
+            template: 'raw-register',
+            binding: '46100',
+            direction: 'read',
+            dataType: 'UINT32'
+        });
+
+        self.testFramework.on('onRefreshed',
+            function (framework, valuesDict, onError, onSuccess) {
+                test.deepEqual(testDevice.readAddresses, [
+                    'AIN1',
+                    {address: 46100, type: 'UINT32'}
+                ]);
+                test.equal(valuesDict.get('46100'), 7);
+                test.deepEqual(self.testJquery.updates, [
+                    {element: '#ain-1', html: 2},
+                    {element: '#ain-1-raw', html: 2},
+                    {element: '#raw-register', html: 7}
+                ]);
+                onSuccess();
+            }
+        );
+
+        self.testFramework.runLoop = true;
+        self.testFramework.loopIteration().then(test.done);
+    },
+
+    testLoopIterationDerivedBindings: function (test) {
+        var self = this;
+        var testDevice = new TestDevice();
+        testDevice.readResults = [1.5, 0.5, 300];
+        self.testFramework._SetSelectedDevices([testDevice]);
+
+        self.testFramework.putConfigBinding({
+            class: 'ain-inputs',
+            template: 'ain-0',
+            binding: 'AIN0',
+            direction: 'read'
+        });
+        self.testFramework.putConfigBinding({
+            class: 'ain-inputs',
+            template: 'ain-difference',
+            sources: ['AIN0', 'AIN1'],
+            compute: function (values) { return values.AIN0 - values.AIN1; },
+            direction: 'read',
+            formatter: {decimals: 1}
+        });
+        self.testFramework.putConfigBinding({
+            class: 'temperatures',
+            template: 'air-temperature',
+            binding: 'TEMPERATURE_AIR_K',
+            direction: 'read',
+            condition: function (values) {
+                return values.TEMPERATURE_AIR_K < 200;
+            }
+        });
+
+        self.testFramework.runLoop = true;
+        self.testFramework.loopIteration().then(function () {
+            test.deepEqual(
+                testDevice.readAddresses,
+                ['AIN0', 'AIN1', 'TEMPERATURE_AIR_K']
+            );
+            test.deepEqual(self.testJquery.updates, [
+                {element: '#ain-0', html: 1.5},
+                {element: '#ain-difference', html: '1.0'}
+            ]);
+            test.done();
+        });
+    },
+
+    testLoopIterationDerivedBindingError: function (test) {
+        var self = this;
+        var testDevice = new TestDevice();
+        testDevice.readResults = [1];
+        self.testFramework._SetSelectedDevices([testDevice]);
+
+        self.testFramework.putConfigBinding({
+            class: 'ain-inputs',
+            template: 'ain-scaled',
+            sources: ['AIN0'],
+            compute: function () { throw 'bad scale'; },
+            direction: 'read'
+        });
+
+        self.testFramework.on('onRefreshError',
+            function (framework, message, onError, onSuccess) {
+                test.equal(message, 'Could not compute ain-scaled: bad scale');
+                test.equal(self.testJquery.updates.length, 0);
+                test.done();
+                onSuccess();
+            }
+        );
+
+        self.testFramework.runLoop = true;
+        self.testFramework.loopIteration();
+    },
+
+    testLoopIterationChangesOnly: function (test) {
+        var self = this;
+        var testDevice = new TestDevice();
+        self.testFramework._SetSelectedDevices([testDevice]);
+
+        self.testFramework.putConfigBinding({
+            class: 'ain-inputs',
+            template: 'ain-#(0:1)',
+            binding: 'AIN#(0:1)',
+            direction: 'read',
+            formatter: {decimals: 2}
+        });
+        self.testFramework.putConfigBinding({
+            class: 'ain-inputs',
+            template: 'ain-2',
+            binding: 'AIN2',
+            direction: 'read',
+            deadband: 0.1
+        });
+        self.testFramework.runLoop = true;
+
+        var readValues = function (values) {
+            testDevice.readResults = values;
+            self.testJquery.updates = [];
+            return self.testFramework.loopIteration();
+        };
+
+        readValues([1, 2, 3]).then(function () {
+            test.equal(self.testJquery.updates.length, 3);
+            return readValues([1.001, 2.5, 3.05]);
+        })
+        .then(function () {
+            test.deepEqual(self.testJquery.updates, [
+                {element: '#ain-1', html: '2.50'}
+            ]);
+            return readValues([1.001, 2.5, 3.2]);
+        })
+        .then(function () {
+            test.deepEqual(self.testJquery.updates, [
+                {element: '#ain-2', html: 3.2}
+            ]);
+            test.done();
+        });
+    },
+
+    testLoopIterationAnimationFrame: function (test) {
+        var self = this;
+        var testDevice = new TestDevice();
+        var frames = [];
+        global.requestAnimationFrame = function (callback) {
+            frames.push(callback);
+        };
+        self.testFramework._SetSelectedDevices([testDevice]);
+
+        self.testFramework.putConfigBinding({
+            class: 'ain-inputs',
+            template: 'ain-#(0:1)',
+            binding: 'AIN#(0:1)',
+            direction: 'read'
+        });
+        self.testFramework.runLoop = true;
+
+        testDevice.readResults = [1, 2];
+        self.testFramework.loopIteration().then(function () {
+            testDevice.readResults = [3, 2];
+            return self.testFramework.loopIteration();
+        })
+        .then(function () {
+            delete global.requestAnimationFrame;
+            test.equal(frames.length, 1);
+            test.equal(self.testJquery.updates.length, 0);
+
+            frames[0]();
+            test.deepEqual(self.testJquery.updates, [
+                {element: '#ain-0', html: 3},
+                {element: '#ain-1', html: 2}
+            ]);
+            test.done();
+        });
+    },
+
+    testLoopIterationRenderTargets: function (test) {
+        var self = this;
+        var testDevice = new TestDevice();
+        var callbackArgs = null;
+        testDevice.readResults = [1, 0, 7.5, 2.5, 40, 300];
+        self.testFramework._SetSelectedDevices([testDevice]);
+
+        var putTarget = function (template, binding, target) {
+            self.testFramework.putConfigBinding({
+                class: 'targets',
+                template: template,
+                binding: binding,
+                direction: 'read',
+                target: target
+            });
+        };
+        putTarget('fio-0-led', 'FIO0', {class: 'led-on'});
+        putTarget('fio-1-toggle', 'FIO1', 'checked');
+        putTarget('ain-0-gauge', 'AIN0', {width: {min: 0, max: 10}});
+        putTarget('ain-1-value', 'AIN1', 'value');
+        putTarget('wifi-rssi', 'WIFI_RSSI', {attr: 'title'});
+        putTarget('air-temperature', 'TEMPERATURE_AIR_K', function () {
+            callbackArgs = Array.prototype.slice.call(arguments);
+        });
+
+        self.testFramework.runLoop = true;
+        self.testFramework.loopIteration().then(function () {
+            test.deepEqual(self.testJquery.classChanges, [
+                {element: '#fio-0-led', className: 'led-on', added: true}
+            ]);
+            test.deepEqual(self.testJquery.propUpdates, [
+                {element: '#fio-1-toggle', name: 'checked', value: false}
+            ]);
+            test.deepEqual(self.testJquery.cssUpdates, [
+                {element: '#ain-0-gauge', name: 'width', value: '75%'}
+            ]);
+            test.deepEqual(self.testJquery.valUpdates, [
+                {element: '#ain-1-value', val: 2.5}
+            ]);
+            test.deepEqual(self.testJquery.attrUpdates, [
+                {element: '#wifi-rssi', name: 'title', value: 40}
+            ]);
+            test.deepEqual(
+                callbackArgs.slice(0, 3),
+                ['#air-temperature', 300, 300]
+            );
+            test.equal(callbackArgs[3].template, 'air-temperature');
+            test.equal(self.testJquery.updates.length, 0);
+            test.done();
+        });
+    },
+
+    testChartBinding: function (test) {
+        var self = this;
+        var testDevice = new TestDevice();
+        testDevice.readResults = [1, 2];
+        self.testFramework._SetSelectedDevices([testDevice]);
+
+        self.testFramework.putChartBinding({
+            class: 'charts',
+            template: 'ain-chart',
+            series: ['AIN0', 'AIN1'],
+            window: 5000
+        });
+        var chart = self.testFramework.getChart('ain-chart');
+
+        self.testFramework.runLoop = true;
+        self.testFramework.loopIteration().then(function () {
+            test.deepEqual(testDevice.readAddresses, ['AIN0', 'AIN1']);
+            test.equal(chart.getSamples('AIN1')[0].value, 2);
+            test.equal(self.testJquery.updates.length, 1);
+            test.equal(self.testJquery.updates[0].element, '#ain-chart');
+            test.equal(self.testJquery.updates[0].html, chart.render());
+
+            self.testFramework.pauseChart('ain-chart');
+            testDevice.readResults = [3, 4];
+            return self.testFramework.loopIteration();
+        })
+        .then(function () {
+            test.equal(chart.getSamples('AIN0').length, 1);
+            test.equal(self.testJquery.updates.length, 1);
+
+            self.testFramework.resumeChart('ain-chart');
+            return self.testFramework.loopIteration();
+        })
+        .then(function () {
+            test.equal(chart.getSamples('AIN0').length, 2);
+            test.equal(self.testJquery.updates.length, 2);
+
+            self.testFramework.deleteConfigBinding('ain-chart');
+            test.equal(self.testFramework.getChart('ain-chart'), null);
+            test.done();
+        });
+    },
+
+    testChartBindingInvalid: function (test) {
+        var self = this;
+        self.testFramework.on('onLoadError',
+            function (framework, error, onError, onSuccess) {
+                test.equal(error.msg, 'Chart binding has invalid window');
+                test.equal(self.testFramework.getChart('ain-chart'), null);
+                test.done();
+                onSuccess();
+            }
+        );
+
+        self.testFramework.putChartBinding({
+            class: 'charts',
+            template: 'ain-chart',
+            series: ['AIN0'],
+            window: -1
+        });
+    },
+
+    testChartBindingInvalidOptions: function (test) {
+        var self = this;
+        var errors = [];
+        self.testFramework.on('onLoadError',
+            function (framework, error, onError, onSuccess) {
+                errors.push(error.msg);
+                onSuccess();
+            }
+        );
+
+        self.testFramework.putChartBinding({class: 'c', template: 'chart'});
+        self.testFramework.putChartBinding({
+            class: 'charts',
+            template: 'ain-chart',
+            series: 'AIN0',
+            width: 0,
+            min: 5,
+            max: 1,
+            color: 'red'
+        });
+
+        test.deepEqual(errors, [
+            'Chart binding has invalid series',
+            'Chart binding has unknown attribute color; ' +
+                'Chart binding has invalid series; ' +
+                'Chart binding has invalid width; ' +
+                'Chart binding max must be greater than min'
+        ]);
+        test.equal(self.testFramework.numBindings(), 0);
+        test.done();
+    },
+
+    testStartLogging: function (test) {
+        var self = this;
+        self.testFramework.startLogging({format: 'xml'}).fail(function (err) {
+            test.deepEqual(err.errors, [
+                'Logger missing directory',
+                'Logger has invalid format xml'
+            ]);
+            return self.testFramework.startLogging({directory: 'logs'});
+        })
+        .then(function (logger) {
+            test.ok(logger.isRunning());
+            test.equal(
+                self.testFramework.eventListener.get('onRefreshed').length,
+                1
+            );
+            return self.testFramework.startLogging({directory: 'logs'});
+        })
+        .fail(function (err) {
+            test.equal(err, 'Already logging.');
+            return self.testFramework.stopLogging();
+        })
+        .then(function () {
+            test.equal(
+                self.testFramework.eventListener.get('onRefreshed').length,
+                0
+            );
+            test.done();
+        });
+    },
+
+    testRecordSession: function (test) {
+        var self = this;
+        var testDevice = new TestDevice();
+        var savedSession = null;
+        testDevice.readResults = [1];
+        self.testFramework._SetSelectedDevices([testDevice]);
+
+        presenter_framework.__set__('fs_facade', {
+            saveJSON: function (location, contents, onError, onSuccess) {
+                test.equal(location, 'session.json');
+                savedSession = contents;
+                onSuccess();
+            }
+        });
+
+        self.testFramework.putConfigBinding({
+            class: 'ain-inputs',
+            template: 'ain-0',
+            binding: 'AIN0',
+            direction: 'read'
+        });
+        self.testFramework.putConfigBinding({
+            class: 'dac-controls',
+            template: 'dac-0',
+            binding: 'DAC0',
+            direction: 'write',
+            event: 'change'
+        });
+        self.testJquery.nextVal = 2;
+        self.testFramework.runLoop = true;
+
+        self.testFramework.startRecording().then(function () {
+            return self.testFramework.loopIteration();
+        })
+        .then(function () {
+            return self.testFramework._writeToDevice(
+                self.testFramework.writeBindings.get('dac-0')
+            );
+        })
+        .then(function () {
+            return self.testFramework.stopRecording('session.json');
+        })
+        .then(function (session) {
+            test.equal(session, savedSession);
+            test.equal(session.devices[0].serial, '470010100');
+            test.deepEqual(session.events.map(function (event) {
+                return event.type;
+            }), ['read', 'write']);
+            test.deepEqual(session.events[0].values, [1]);
+            test.equal(session.events[1].register, 'DAC0');
+            test.equal(session.events[1].value, 2);
+            return self.testFramework.stopRecording();
+        })
+        .fail(function (err) {
+            test.equal(err, 'Not recording.');
+            test.done();
+        });
+    },
+
+    testRecordSessionReadError: function (test) {
+        var self = this;
+        var testDevice = new TestDevice();
+        testDevice.readMany = function (addresses) {
+            return q.reject('LJME_RECONNECT_FAILED');
+        };
+        self.testFramework._SetSelectedDevices([testDevice]);
+        self.testFramework.setReadRetryPolicy({retries: 0});
+
+        self.testFramework.putConfigBinding({
+            class: 'ain-inputs',
+            template: 'ain-0',
+            binding: 'AIN0',
+            direction: 'read'
+        });
+        self.testFramework.on('onRefreshError',
+            function (framework, message, onError, onSuccess) {
+                onSuccess();
+            }
+        );
+        self.testFramework.runLoop = true;
+
+        self.testFramework.startRecording().then(function () {
+            return self.testFramework.loopIteration();
+        })
+        .fail(function (err) {
+            test.equal(err, 'LJME_RECONNECT_FAILED');
+            return self.testFramework.stopRecording();
+        })
+        .then(function (session) {
+            test.equal(session.events.length, 1);
+            test.equal(session.events[0].type, 'readError');
+            test.deepEqual(session.events[0].addresses, ['AIN0']);
+            test.equal(session.events[0].error, 'LJME_RECONNECT_FAILED');
+            test.deepEqual(session_recorder.validateSession(session), []);
+            test.done();
+        });
+    },
+
+    testReplaySession: function (test) {
+        var self = this;
+        var session = {
+            version: 1,
+            startTime: '2014-01-01T00:00:00.000Z',
+            devices: [{
+                serial: '470010100',
+                deviceType: 'T7',
+                firmwareVersion: 1.015,
+                name: 'Lab T7'
+            }],
+            events: [{
+                time: 0,
+                serial: '470010100',
+                type: 'read',
+                addresses: ['AIN0'],
+                values: [4]
+            }]
+        };
+
+        self.testFramework.putConfigBinding({
+            class: 'ain-inputs',
+            template: 'ain-0',
+            binding: 'AIN0',
+            direction: 'read'
+        });
+
+        presenter_framework.__set__('fs_facade', {
+            getJSON: function (location, onError, onSuccess) {
+                test.equal(location, 'session.json');
+                onSuccess(session);
+            },
+            renderTemplate: fs_facade.renderTemplate
+        });
+
+        self.testFramework.replaySession('session.json', {speed: 2})
+        .then(function (replayDevices) {
+            test.deepEqual(self.testFramework.getDevices(), replayDevices);
+            test.equal(replayDevices[0].getName(), 'Lab T7');
+
+            self.testFramework._SetSelectedDevices(replayDevices);
+            self.testFramework.runLoop = true;
+            return self.testFramework.loopIteration();
+        })
+        .then(function () {
+            test.deepEqual(
+                self.testJquery.updates.pop(),
+                {element: '#ain-0', html: 4}
+            );
+            test.done();
+        });
+    },
+
+    testReplaySessionWhileRunning: function (test) {
+        var self = this;
+        var realDevice = new TestDevice(470010100);
+        var loopStarts = 0;
+        var session = {
+            version: 1,
+            startTime: '2014-01-01T00:00:00.000Z',
+            devices: [{serial: '470010199', deviceType: 'T7'}],
+            events: []
+        };
+
+        presenter_framework.__set__('fs_facade', {
+            getJSON: function (location, onError, onSuccess) {
+                onSuccess(session);
+            },
+            renderTemplate: fs_facade.renderTemplate
+        });
+
+        self.testFramework.setDevices([realDevice]).then(function () {
+            self.testFramework._SetSelectedDevices([realDevice]);
+            self.testFramework.runLoop = true;
+            self.testFramework.startLoop = function () {
+                loopStarts++;
+                self.testFramework.runLoop = true;
+            };
+            return self.testFramework.replaySession('session.json');
+        })
+        .then(function (replayDevices) {
+            test.deepEqual(
+                self.testFramework.getSelectedDevices(),
+                replayDevices
+            );
+            test.equal(loopStarts, 1);
+            test.ok(self.testFramework.runLoop);
+            return self.testFramework.addDevice(realDevice);
+        })
+        .then(function () {
+            test.equal(self.testFramework.getSelectedDevices().length, 1);
+            test.equal(loopStarts, 1);
+            test.done();
+        });
+    },
+
+    testReplayInvalidSession: function (test) {
+        var self = this;
+        presenter_framework.__set__('fs_facade', {
+            getJSON: function (location, onError, onSuccess) {
+                onSuccess({version: 1, devices: []});
+            }
+        });
+
+        self.testFramework.replaySession('session.json').fail(function (err) {
+            test.deepEqual(err, {
+                msg: 'Session missing events',
+                errors: ['Session missing events']
+            });
+            test.done();
+        });
+    },
+
+    testConfigBindingWriteAddress: function (test) {
+        var self = this;
+        var testDevice = new TestDevice();
+        self.testFramework._SetSelectedDevices([testDevice]);
+
+        self.testFramework.putConfigBinding({
+            class: 'dio-controls',
+            template: 'fio-0',
+            binding: 2000,
+            direction: 'write',
+            event: 'change'
+        });
+        var bindingInfo = self.testFramework.writeBindings.get('fio-0');
+
+        self.testFramework.on('onValidationError',
+            function (framework, register, value, errors, onError, onSuccess) {
+                test.equal(value, '70000');
+                test.deepEqual(errors, ['Value must be between 0 and 65535']);
+                onSuccess();
+            }
+        );
+
+        self.testJquery.nextVal = '1';
+        self.testFramework._writeToDevice(bindingInfo).then(function () {
+            test.deepEqual(
+                testDevice.writings,
+                [{register: 'FIO0', value: 1}]
+            );
+
+            self.testJquery.nextVal = '70000';
+            return self.testFramework._writeToDevice(bindingInfo);
+        })
+        .fail(function (errors) {
+            test.deepEqual(errors, ['Value must be between 0 and 65535']);
+            test.equal(testDevice.writings.length, 1);
+            test.done();
+        });
+    },
+
+    testConfigBindingWriteUnknownAddress: function (test) {
+        var self = this;
+        var testDevice = new TestDevice();
+        var readRegisters = [];
+        testDevice.read = function (register) {
+            readRegisters.push(register);
+            return q(5);
+        };
+        self.testFramework._SetSelectedDevices([testDevice]);
+
+        self.testFramework.putConfigBinding({
+            class: 'raw-registers',
+            template: 'raw-register',
+            binding: 46100,
+            direction: 'write',
+            event: 'change',
+            dataType: 'UINT32',
+            confirmWrite: true
+        });
+        var bindingInfo = self.testFramework.writeBindings.get('raw-register');
+
+        self.testJquery.nextVal = '5';
+        self.testFramework._writeToDevice(bindingInfo).then(function () {
+            var register = {address: 46100, type: 'UINT32'};
+            test.deepEqual(
+                testDevice.writings,
+                [{register: register, value: 5}]
+            );
+            test.deepEqual(readRegisters, [register]);
+            test.done();
+        });
+    },
+
+    testChangeSelectedDevicesSingleMode: function (test) {
+        var self = this;
+        var firstDevice = new TestDevice(470010100);
+        var secondDevice = new TestDevice(470010101);
+        self.testJquery.nextSerials = ['470010100', '470010101'];
+
+        self.testFramework.on('onDeviceSelection',
+            function (framework, onError, onSuccess) {
+                test.deepEqual(
+                    self.testFramework.getSelectedDevices(),
+                    [firstDevice]
+                );
+                test.done();
+                onSuccess();
+            }
+        );
+
+        self.testFramework.setDevices([firstDevice, secondDevice])
+        .then(self.testFramework._changeSelectedDeviceUI);
+    },
+
+    testSetDeviceViewRestoresSelection: function (test) {
+        var self = this;
+        var firstDevice = new TestDevice(470010100);
+        var secondDevice = new TestDevice(470010101);
+
+        presenter_framework.__set__('fs_facade', {
+            renderTemplate: function (location, context, onError, onSuccess) {
+                if (location === 'test_module/view.html') {
+                    test.deepEqual(
+                        context.selectedDevices.map(function (info) {
+                            return info.serial;
+                        }),
+                        ['470010101']
+                    );
+                    test.done();
+                }
+                fs_facade.renderTemplate(
+                    location,
+                    context,
+                    onError,
+                    onSuccess
+                );
+            },
+            getExternalURI: function (name) {
+                return name;
+            },
+            getJSON: function (location, onError, onSuccess) {
+                onSuccess({lastSelectedSerials: ['470010101']});
+            },
+            exists: function (location, onSuccess) {
+                onSuccess(false);
+            }
+        });
+
+        self.testFramework.setModuleName('test_module');
+        self.testFramework.setDevices([firstDevice, secondDevice])
+        .then(function () {
+            self.testFramework._SetSelectedDevices([]);
+            self.testFramework.setDeviceView('test_module/view.html');
+        });
+    },
+
+    testChangeSelectedDevicesRendersView: function (test) {
+        var self = this;
+        var firstDevice = new TestDevice(470010100);
+        var secondDevice = new TestDevice(470010101);
+        var renderedSerials = [];
+
+        presenter_framework.__set__('fs_facade', {
+            renderTemplate: function (location, context, onError, onSuccess) {
+                if (location !== 'view.html') {
+                    fs_facade.renderTemplate(
+                        location,
+                        context,
+                        onError,
+                        onSuccess
+                    );
+                    return;
+                }
+
+                var serials = context.selectedDevices.map(function (info) {
+                    return info.serial;
+                });
+                renderedSerials.push(serials);
+                onSuccess('view for ' + serials.join(', '));
+            },
+            getExternalURI: function (name) {
+                return name;
+            }
+        });
+
+        var checkRender = function () {
+            test.deepEqual(renderedSerials, [['470010100']]);
+            self.testFramework.putConfigBinding({
+                class: 'ain-inputs',
+                template: 'ain-0',
+                binding: 'AIN0',
+                direction: 'read',
+                devices: 'all'
+            });
+            self.testFramework.putConfigBinding({
+                class: 'dac-controls',
+                template: 'dac-0',
+                binding: 'DAC0',
+                direction: 'write',
+                event: 'change'
+            });
+            self.testFramework.disableClass('dac-controls');
+
+            self.testFramework.once('onDeviceSelection',
+                function (framework, onError, onSuccess) {
+                    test.deepEqual(renderedSerials, [
+                        ['470010100'],
+                        ['470010100', '470010101']
+                    ]);
+                    test.deepEqual(self.testJquery.updates.pop(), {
+                        element: '#device-view',
+                        html: 'view for 470010100, 470010101'
+                    });
+
+                    var dacEvents = self.testJquery.events.filter(
+                        function (eventInfo) {
+                            return eventInfo.element === '#dac-0';
+                        }
+                    );
+                    test.equal(dacEvents.length, 1);
+                    test.deepEqual(self.testJquery.attrUpdates.pop(), {
+                        element: '#dac-0',
+                        name: 'disabled',
+                        value: 'disabled'
+                    });
+
+                    self.testJquery.missingElements = ['#ain-0-470010100'];
+                    self.testJquery.nextSerials = ['470010100'];
+                    self.testFramework._changeSelectedDeviceUI();
+                    onSuccess();
+                }
+            );
+            self.testFramework.on('onLoadError',
+                function (framework, message, onError, onSuccess) {
+                    test.equal(
+                        message,
+                        'View has no element for ain-0-470010100'
+                    );
+                    test.done();
+                    onSuccess();
+                }
+            );
+
+            self.testJquery.nextSerials = ['470010100', '470010101'];
+            self.testFramework._changeSelectedDeviceUI();
+        };
+
+        self.testFramework.setDeviceSelectionMode('multiple');
+        self.testFramework.setDevices([firstDevice, secondDevice])
+        .then(function () {
+            self.testFramework.setDeviceView(
+                'view.html',
+                [],
+                {},
+                null,
+                checkRender
+            );
+        });
+    },
+
+    testSetDeviceSelectionModeInvalid: function (test) {
+        this.testFramework.on('onLoadError',
+            function (framework, message, onError, onSuccess) {
+                test.equal(message, 'Invalid device selection mode several');
+                test.done();
+                onSuccess();
+            }
+        );
+        this.testFramework.setDeviceSelectionMode('several');
+    },
+
+    testAddDevice: function (test) {
+        var self = this;
+        var firstDevice = new TestDevice(470010100);
+        var secondDevice = new TestDevice(470010101);
+        var addedDevices = [];
+
+        self.testFramework.on('onDeviceAdded',
+            function (framework, device, onError, onSuccess) {
+                addedDevices.push(device);
+                onSuccess();
+            }
+        );
+
+        self.testFramework.setDevices([firstDevice, secondDevice])
+        .then(function () {
+            test.deepEqual(addedDevices, [firstDevice, secondDevice]);
+            test.deepEqual(
+                self.testFramework.getDevices(),
+                [firstDevice, secondDevice]
+            );
+
+            var lastUpdate = self.testJquery.updates.pop();
+            test.equal(lastUpdate.element, '#device-selector');
+            test.ok(lastUpdate.html.indexOf('470010101-selector') != -1);
+            test.equal(self.testJquery.events.length, 1);
+            test.done();
+        });
+    },
+
+    testRemoveDeviceReconnect: function (test) {
+        var self = this;
+        var testDevice = new TestDevice(470010100);
+        var reconnectedDevice = new TestDevice(470010100);
+        var removedDevices = [];
+        var loopStarts = 0;
+
+        self.testFramework.on('onDeviceRemoved',
+            function (framework, device, onError, onSuccess) {
+                removedDevices.push(device);
+                onSuccess();
+            }
+        );
+
+        self.testFramework.addDevice(testDevice)
+        .then(function () {
+            self.testFramework._SetSelectedDevices([testDevice]);
+            self.testFramework.runLoop = true;
+            self.testFramework.startLoop = function () { loopStarts++; };
+            return self.testFramework.removeDevice(testDevice);
+        })
+        .then(function () {
+            test.deepEqual(removedDevices, [testDevice]);
+            test.ok(!self.testFramework.runLoop);
+            test.equal(self.testFramework.getSelectedDevice(), null);
+            return self.testFramework.addDevice(reconnectedDevice);
+        })
+        .then(function () {
+            test.equal(loopStarts, 1);
+            test.equal(
+                self.testFramework.getSelectedDevice(),
+                reconnectedDevice
+            );
+            test.deepEqual(
+                self.testJquery.checkedElements.pop(),
+                '#470010100-selector'
+            );
+            test.done();
+        });
+    },
+
+    testRemoveDeviceOtherSelected: function (test) {
+        var self = this;
+        var firstDevice = new TestDevice(1);
+        var secondDevice = new TestDevice(2);
+        var loopStarts = 0;
+
+        self.testFramework.setDevices([firstDevice, secondDevice])
+        .then(function () {
+            self.testFramework._SetSelectedDevices([firstDevice]);
+            self.testFramework.runLoop = true;
+            self.testFramework.startLoop = function () { loopStarts++; };
+            return self.testFramework.removeDevice(firstDevice);
+        })
+        .then(function () {
+            test.deepEqual(
+                self.testFramework.getSelectedDevices(),
+                [secondDevice]
+            );
+            test.equal(loopStarts, 1);
+            return self.testFramework.addDevice(firstDevice);
+        })
+        .then(function () {
+            test.deepEqual(
+                self.testFramework.getSelectedDevices(),
+                [secondDevice]
+            );
+            test.equal(loopStarts, 1);
+            test.done();
+        });
+    },
+
+    testRestoreDeviceSelection: function (test) {
+        var self = this;
+        var firstDevice = new TestDevice(470010100);
+        var secondDevice = new TestDevice(470010101);
+        var savedSelections = [];
+
+        presenter_framework.__set__('fs_facade', {
+            renderTemplate: fs_facade.renderTemplate,
+            getExternalURI: function (name) {
+                test.equal(name, 'test_module/device_selection.json');
+                return 'test store URI';
+            },
+            getJSON: function (location, onError, onSuccess) {
+                onSuccess({lastSelectedSerials: ['470010101']});
+            },
+            saveJSON: function (location, contents, onError, onSuccess) {
+                savedSelections.push(contents);
+                onSuccess();
+            }
+        });
+
+        self.testFramework.on('onDeviceSelection',
+            function (framework, onError, onSuccess) {
+                test.deepEqual(
+                    savedSelections,
+                    [{lastSelectedSerials: ['470010100']}]
+                );
+                test.done();
+                onSuccess();
+            }
+        );
+
+        self.testFramework.setModuleName('test_module');
+        self.testFramework.setDevices([firstDevice, secondDevice])
+        .then(function () {
+            test.equal(self.testFramework.getSelectedDevice(), secondDevice);
+            test.equal(
+                self.testJquery.checkedElements.pop(),
+                '#470010101-selector'
+            );
+
+            self.testJquery.nextSerials = ['470010100'];
+            self.testFramework._changeSelectedDeviceUI();
+        });
+    },
+
+    testRestoreDeviceSelectionMissing: function (test) {
+        var self = this;
+        var firstDevice = new TestDevice(470010100);
+
+        presenter_framework.__set__('fs_facade', {
+            renderTemplate: fs_facade.renderTemplate,
+            getExternalURI: function (name) {
+                return 'test store URI';
+            },
+            getJSON: function (location, onError, onSuccess) {
+                onError(new Error('Could not find JSON at test store URI.'));
+            }
+        });
+
+        self.testFramework.setModuleName('test_module');
+        self.testFramework.addDevice(firstDevice)
+        .then(function () {
+            test.equal(self.testFramework.getSelectedDevice(), firstDevice);
+            test.done();
+        });
+    },
+
+    testDeviceRequirements: function (test) {
+        var self = this;
+        var newDevice = function (serial, deviceType, firmwareVersion) {
+            var device = new TestDevice(serial);
+            device.getDeviceType = function () { return deviceType; };
+            device.getFirmwareVersion = function () { return firmwareVersion; };
+            return device;
+        };
+        var oldDevice = newDevice(470010100, 'T7', 1.0100);
+        var otherDevice = newDevice(440010100, 'T4', 1.0023);
+        var supportedDevice = newDevice(470010101, 'T7', 1.0150);
+
+        self.testFramework.setDeviceRequirements({
+            name: 'test_module',
+            supportedDevices: ['T7'],
+            minFirmware: {'T7': 1.0114},
+            requiredRegisters: ['AIN0_RANGE']
+        });
+
+        self.testFramework.setDevices([oldDevice, otherDevice, supportedDevice])
+        .then(function () {
+            test.equal(self.testFramework.getSelectedDevice(), supportedDevice);
+
+            var html = self.testJquery.updates.pop().html;
+            test.ok(html.indexOf('Module requires a T7') != -1);
+            test.ok(html.indexOf('requires firmware 1.0114 or newer') != -1);
+            test.equal(html.match(/ disabled>/g).length, 2);
+
+            self.testJquery.nextSerials = ['470010100'];
+            self.testFramework._changeSelectedDeviceUI();
+            test.deepEqual(self.testFramework.getSelectedDevices(), []);
+            test.done();
+        });
+    },
+
+    testDeviceRequirementsNoCompatibleDevice: function (test) {
+        var self = this;
+        var testDevice = new TestDevice(470010100);
+        testDevice.getDeviceType = function () { return 'T4'; };
+
+        self.testFramework.on('onLoadError',
+            function (framework, message, onError, onSuccess) {
+                test.equal(
+                    message,
+                    'No connected device is compatible with this module.'
+                );
+                test.done();
+                onSuccess();
+            }
+        );
+
+        self.testFramework.setDeviceRequirements({supportedDevices: ['T7']});
+        self.testFramework.addDevice(testDevice);
+    },
+
+    testDeviceRequirementsNoDevice: function (test) {
+        var self = this;
+
+        self.testFramework.on('onLoadError',
+            function (framework, message, onError, onSuccess) {
+                test.equal(
+                    message,
+                    'No connected device is compatible with this module.'
+                );
+                test.done();
+                onSuccess();
+            }
+        );
+
+        self.testFramework.setDevices([]);
+    },
+
+    testDeviceRequirementsAfterDevices: function (test) {
+        var self = this;
+        var testDevice = new TestDevice(470010100);
+        var loadErrors = [];
+        testDevice.getDeviceType = function () { return 'T4'; };
+
+        self.testFramework.on('onLoadError',
+            function (framework, message, onError, onSuccess) {
+                loadErrors.push(message);
+                onSuccess();
+            }
+        );
+
+        self.testFramework.setDeviceRequirements({supportedDevices: ['T7']});
+        test.deepEqual(loadErrors, []);
+
+        self.testFramework.setDeviceRequirements({});
+        self.testFramework.addDevice(testDevice).then(function () {
+            test.deepEqual(loadErrors, []);
+            self.testFramework.setDeviceRequirements({
+                supportedDevices: ['T7']
+            });
+            test.deepEqual(loadErrors, [
+                'No connected device is compatible with this module.'
+            ]);
+            test.done();
+        });
+    },
+
+    testDeviceRequirementsInvalid: function (test) {
+        var registerMap = rewire('./register_map');
+        registerMap.loadConstants({registers: []});
+        var revert = presenter_framework.__set__('register_map', registerMap);
+
+        this.testFramework.on('onLoadError',
+            function (framework, message, onError, onSuccess) {
+                revert();
+                test.equal(
+                    message,
+                    'Module requires unknown registers NOT_A_REGISTER'
+                );
+                test.done();
+                onSuccess();
+            }
+        );
+
+        this.testFramework.setDeviceRequirements({
+            requiredRegisters: ['AIN0', 'NOT_A_REGISTER']
+        });
+    },
+
+    testDeviceRequirementsIncompleteMap: function (test) {
+        var self = this;
+        var testDevice = new TestDevice(470010100);
+        testDevice.getDeviceType = function () { return 'T7'; };
+        var registerMap = rewire('./register_map');
+        registerMap.__set__('constantsLoaded', false);
+        var revert = presenter_framework.__set__('register_map', registerMap);
+
+        self.testFramework.on('onLoadError', function () {
+            test.ok(false);
+        });
+        self.testFramework.setDeviceRequirements({
+            requiredRegisters: ['AIN0', 'NOT_A_REGISTER']
+        });
+
+        self.testFramework.setDevices([testDevice]).then(function () {
+            revert();
+            test.equal(self.testFramework.getSelectedDevice(), testDevice);
+            test.done();
+        });
+    },
+
+    testSetDeviceViewBindingsFile: function (test) {
+        var self = this;
+        var declaredBindings = [
+            {
+                class: 'analog-inputs',
+                template: 'ain-#(0:1)-display',
+                binding: 'AIN#(0:1)',
+                direction: 'read',
+                formatter: {decimals: 3, units: 'V'}
+            }
+        ];
+
+        presenter_framework.__set__('fs_facade', {
+            renderTemplate: function (location, context, onError, onSuccess) {
+                onSuccess('test html');
+            },
+            getExternalURI: function (name) {
+                return 'test external URI/' + name;
+            },
+            exists: function (location, onSuccess) {
+                test.equal(
+                    location,
+                    'test external URI/test_module/bindings.json'
+                );
+                onSuccess(true);
+            },
+            getJSON: function (location, onError, onSuccess) {
+                onSuccess(declaredBindings);
+            }
+        });
+
+        self.testFramework.on('onTemplateLoaded',
+            function (framework, onError, onSuccess) {
+                test.equal(self.testFramework.numBindings(), 2);
+                var readBindings = self.testFramework.readBindings;
+                test.equal(readBindings.get('ain-1-display').binding, 'AIN1');
+                test.done();
+                onSuccess();
+            }
+        );
+
+        self.testFramework.setModuleName('test_module');
+        self.testFramework.setDeviceView('test_module/view.html');
+    },
+
+    testLoadBindingsFileInvalid: function (test) {
+        presenter_framework.__set__('fs_facade', {
+            getExternalURI: function (name) {
+                return name;
+            },
+            exists: function (location, onSuccess) {
+                onSuccess(true);
+            },
+            getJSON: function (location, onError, onSuccess) {
+                onSuccess({binding: 'AIN0'});
+            }
+        });
+
+        this.testFramework.setModuleName('test_module');
+        this.testFramework.loadBindingsFile().fail(function (err) {
+            test.equal(err, 'bindings.json must contain an Array');
+            test.done();
+        });
+    },
+
+    testPutConfigBindingProblems: function (test) {
+        var self = this;
+
+        self.testFramework.on('onLoadError',
+            function (framework, details, onError, onSuccess) {
+                test.equal(
+                    details.msg,
+                    'Config binding missing class; ' +
+                    'Write config binding missing event'
+                );
+                var fields = details.errors.map(function (error) {
+                    return error.field;
+                });
+                test.deepEqual(fields, ['class', 'event']);
+                test.equal(self.testFramework.numBindings(), 0);
+                test.done();
+                onSuccess();
+            }
+        );
+
+        self.testFramework.putConfigBinding({
+            template: 'dac-0',
+            binding: 'DAC0',
+            direction: 'write'
+        });
+    },
+
+    testPutConfigBindingMissingElement: function (test) {
+        var self = this;
+
+        presenter_framework.__set__('fs_facade', {
+            renderTemplate: function (location, context, onError, onSuccess) {
+                onSuccess('test html');
+            },
+            getExternalURI: function (name) {
+                return name;
+            }
+        });
+
+        self.testFramework.on('onLoadError',
+            function (framework, details, onError, onSuccess) {
+                test.equal(
+                    details.msg,
+                    'Config binding template ain-1 does not match an element ' +
+                    'in the view'
+                );
+                test.done();
+                onSuccess();
+            }
+        );
+
+        self.testJquery.missingElements = ['#ain-1'];
+        self.testFramework.setDeviceView('test URI', [], {}, null,
+            function () {
+                self.testFramework.putConfigBinding({
+                    class: 'ain-inputs',
+                    template: 'ain-1',
+                    binding: 'AIN1',
+                    direction: 'read'
+                });
+            }
+        );
+    },
+
+    testOnUnknownEvent: function (test) {
+        this.testFramework.on('onLoadError',
+            function (framework, message, onError, onSuccess) {
+                test.equal(message, 'Unknown event onSomethingElse');
+                test.done();
+                onSuccess();
+            }
+        );
+        this.testFramework.on('onSomethingElse', function () {});
+    },
+
+    testPutConfigBindingUnknownRegister: function (test) {
+        var self = this;
+        var registerMap = rewire('./register_map');
+        registerMap.loadConstants({registers: []});
+        var revert = presenter_framework.__set__('register_map', registerMap);
+
+        self.testFramework.on('onLoadError',
+            function (framework, details, onError, onSuccess) {
+                revert();
+                test.equal(
+                    details.msg,
+                    'Config binding has unknown register AINN0'
+                );
+                test.equal(self.testFramework.numBindings(), 0);
+                test.done();
+                onSuccess();
+            }
+        );
+
+        self.testFramework.putConfigBinding({
+            class: 'ain-inputs',
+            template: 'ain-0',
+            binding: 'AINN0',
+            direction: 'read'
+        });
+    },
+
+    testPutConfigBindingUnknownRegisterIncompleteMap: function (test) {
+        var self = this;
+        var warnings = [];
+        var registerMap = rewire('./register_map');
+        registerMap.__set__('constantsLoaded', false);
+        var revert = presenter_framework.__set__('register_map', registerMap);
+
+        self.testFramework.on('onLoadError', function () {
+            test.ok(false);
+        });
+        self.testFramework.on('onLoadWarning',
+            function (framework, details, onError, onSuccess) {
+                warnings.push(details.msg);
+                onSuccess();
+            }
+        );
+
+        self.testFramework.putConfigBinding({
+            class: 'dio-inputs',
+            template: 'dio-0',
+            binding: 'NOT_A_REGISTER',
+            direction: 'read'
+        });
+        revert();
+
+        test.deepEqual(warnings, [
+            'Config binding has unknown register NOT_A_REGISTER'
+        ]);
+        test.equal(self.testFramework.numBindings(), 1);
+        test.done();
+    },
+
+    testConfigBindingFormatterRegisterInfo: function (test) {
+        var self = this;
+        var testDevice = new TestDevice();
+        testDevice.readResults = [1.5];
+        self.testFramework._SetSelectedDevices([testDevice]);
+
+        self.testFramework.putConfigBinding({
+            class: 'ain-inputs',
+            template: 'ain-2',
+            binding: 'AIN2',
+            direction: 'read',
+            formatter: function (value, bindingInfo, registerInfo) {
+                return value + ' ' + registerInfo.units + ' @' +
+                    registerInfo.address;
+            }
+        });
+
+        self.testFramework.runLoop = true;
+        self.testFramework.loopIteration().then(function () {
+            test.deepEqual(
+                self.testJquery.updates,
+                [{element: '#ain-2', html: '1.5 V @4'}]
+            );
+            var registerInfo = self.testFramework.getRegisterInfo('AIN2');
+            test.equal(registerInfo.type, 'FLOAT32');
+            test.done();
+        });
     }
 };
@@ -0,0 +1,318 @@
+/**
+ * Information about the registers available on LabJack devices.
+ *
+ * The register descriptions bundled in register_map.json follow the format of
+ * the LJM constants file where a register may list the device types that
+ * support it either by name ("T7") or with the minimum firmware version
+ * needed ({"device": "T7", "fwmin": 1.0114}). Registers may also give the
+ * units of their values.
+ *
+ * The bundled descriptions only cover common registers. The full LJM
+ * constants file is loaded through ljswitchboard-modbus_map when LJM is
+ * installed. Until it is loaded, the register map is incomplete and unknown
+ * register names may still be valid (see isComplete).
+ *
+ * @author: Chris Johnson (LabJack, 2014)
+ * @author: Sam Pottinger (LabJack, 2014)
+**/
+
+var dict = require('dict');
+var extend = require('node.extend');
+var ljmmm_parse = require('ljmmm-parse');
+
+var registerDescriptions = require('./register_map.json');
+
+var LJM_CONSTANTS_MODULE = 'ljswitchboard-modbus_map';
+
+var DATA_TYPES = ['UINT16', 'UINT32', 'INT32', 'FLOAT32', 'STRING'];
+var INTEGER_RANGES = {
+    UINT16: {min: 0, max: 65535},
+    UINT32: {min: 0, max: 4294967295},
+    INT32: {min: -2147483648, max: 2147483647}
+};
+var MAX_STRING_LENGTH = 49;
+
+var registers = dict({});
+var registersByAddress = dict({});
+var constantsLoaded = false;
+
+
+/**
+ * Add register descriptions to those known to the framework.
+ *
+ * Can be used to load the full LJM constants file where it is installed.
+ * Descriptions for registers that are already known replace the existing
+ * descriptions.
+ *
+ * @param {Array} descriptions Register descriptions in the format of
+ *      register_map.json. Names may contain LJMMM.
+**/
+function addRegisters (descriptions) {
+    ljmmm_parse.expandLJMMMEntriesSync(descriptions).forEach(
+        function (register) {
+            var addressKey = String(register.address);
+            registers.set(register.name, register);
+
+            // The first name given for an address is its primary name
+            var existing = registersByAddress.get(addressKey, null);
+            if (existing === null || existing.name === register.name)
+                registersByAddress.set(addressKey, register);
+        }
+    );
+}
+
+
+/**
+ * Add the registers from the LJM constants file to those known.
+ *
+ * After the constants are loaded, the register map is considered complete.
+ *
+ * @param {Object} constants The contents of ljm_constants.json with a
+ *      registers attribute and an optional registers_beta attribute, each
+ *      an Array of register descriptions.
+**/
+function loadConstants (constants) {
+    addRegisters(constants.registers);
+    if (constants.registers_beta)
+        addRegisters(constants.registers_beta);
+    constantsLoaded = true;
+}
+
+
+/**
+ * Load the LJM constants file installed with LJM if it is available.
+ *
+ * @return {boolean} True if the constants were loaded and false if LJM or its
+ *      constants file is not installed.
+**/
+function loadInstalledConstants () {
+    var constants;
+    try {
+        var modbus_map = require(LJM_CONSTANTS_MODULE);
+        constants = modbus_map.getConstants().origConstants;
+    } catch (err) {
+        return false;
+    }
+
+    loadConstants(constants);
+    return true;
+}
+
+
+/**
+ * Determine if the register map describes every register.
+ *
+ * @return {boolean} True if the LJM constants file has been loaded. False if
+ *      only the bundled descriptions are known, in which case registers that
+ *      are not found may still exist.
+**/
+function isComplete () {
+    return constantsLoaded;
+}
+
+
+/**
+ * Determine if a binding gives a Modbus address instead of a register name.
+ *
+ * @param {Object} binding The binding's register name or address.
+ * @return {boolean} True if binding is a number or a String of digits.
+**/
+function isAddress (binding) {
+    if (typeof binding === 'number')
+        return Math.floor(binding) === binding && binding >= 0;
+    return typeof binding === 'string' && /^\d+$/.test(binding);
+}
+
+
+/**
+ * Get the description of the register at a Modbus address.
+ *
+ * @param {Number} address The address of the register.
+ * @return {Object} The register's description as returned by lookupRegister
+ *      or null if no known register is at the address.
+**/
+function lookupAddress (address) {
+    return registersByAddress.get(String(address), null);
+}
+
+
+/**
+ * Find the register a binding refers to by name or by address.
+ *
+ * Bindings given by name and by address resolve to the same key when they
+ * refer to the same known register, so their values can be read and looked
+ * up together.
+ *
+ * @param {Object} binding The register name or Modbus address.
+ * @param {String} dataType The data type of the register. Required for
+ *      addresses not in the register map and ignored otherwise.
+ * @return {Object} The register's description (see lookupRegister) with an
+ *      additional key attribute giving the name or address that should be
+ *      used to read and write the register. Registers at unknown addresses
+ *      have a null name and the given type. Null if the register is not known
+ *      and cannot be described.
+**/
+function resolveRegister (binding, dataType) {
+    var register;
+    if (isAddress(binding)) {
+        var address = Number(binding);
+        register = lookupAddress(address);
+        if (register === null && DATA_TYPES.indexOf(dataType) != -1) {
+            return {
+                key: address,
+                name: null,
+                address: address,
+                type: dataType,
+                readwrite: 'RW'
+            };
+        }
+    } else {
+        register = lookupRegister(binding);
+    }
+
+    if (register === null)
+        return null;
+    return extend({}, register, {key: register.name});
+}
+
+
+/**
+ * Convert a value to be written to a register of the given data type.
+ *
+ * @param {Object} value The value to convert.
+ * @param {String} dataType One of UINT16, UINT32, INT32, FLOAT32, or STRING.
+ * @return {Object} Object with a value attribute set to the converted value
+ *      or an error attribute describing why the value does not fit the type.
+**/
+function coerceValue (value, dataType) {
+    if (dataType === 'STRING') {
+        if (typeof value !== 'string')
+            return {error: 'Value must be a string'};
+        if (value.length > MAX_STRING_LENGTH) {
+            return {
+                error: 'Value must be at most ' + MAX_STRING_LENGTH +
+                    ' characters'
+            };
+        }
+        return {value: value};
+    }
+
+    var converted = typeof value === 'string' && value.trim() !== '' ?
+        Number(value) : value;
+    if (typeof converted !== 'number' || !isFinite(converted))
+        return {error: 'Value must be a number'};
+
+    var range = INTEGER_RANGES[dataType];
+    if (range === undefined)
+        return {value: converted};
+
+    if (Math.floor(converted) !== converted)
+        return {error: 'Value must be an integer'};
+    if (converted < range.min || converted > range.max) {
+        return {
+            error: 'Value must be between ' + range.min + ' and ' + range.max
+        };
+    }
+    return {value: converted};
+}
+
+
+/**
+ * Get the description of a register.
+ *
+ * @param {String} name The name of the register like "AIN0".
+ * @return {Object} Object with the register's name, address, type, devices,
+ *      readwrite, and (if known) units attributes or null if the register is
+ *      not known.
+**/
+function lookupRegister (name) {
+    return registers.get(String(name), null);
+}
+
+
+/**
+ * Get the descriptions of all known registers.
+ *
+ * @return {Object} Object mapping register name to its description as
+ *      returned by lookupRegister.
+**/
+function getAllRegisters () {
+    var allRegisters = {};
+    registers.forEach(function (register, name) {
+        allRegisters[name] = register;
+    });
+    return allRegisters;
+}
+
+
+/**
+ * Determine if a register's value can be read.
+ *
+ * @param {String} name The name of the register like "AIN0".
+ * @return {boolean} True if the register is known and readable.
+**/
+function canRead (name) {
+    var register = lookupRegister(name);
+    return register !== null && register.readwrite.indexOf('R') != -1;
+}
+
+
+/**
+ * Determine if a register's value can be written.
+ *
+ * @param {String} name The name of the register like "DAC0".
+ * @return {boolean} True if the register is known and writable.
+**/
+function canWrite (name) {
+    var register = lookupRegister(name);
+    return register !== null && register.readwrite.indexOf('W') != -1;
+}
+
+
+/**
+ * Determine if a device supports a register.
+ *
+ * @param {String} name The name of the register like "AIN0".
+ * @param {String} deviceType The type of device like "T7".
+ * @param {Number} firmwareVersion The firmware version of the device. If null,
+ *      minimum firmware versions are not checked.
+ * @return {boolean} True if the register is known and the device supports it
+ *      and false otherwise.
+**/
+function isSupported (name, deviceType, firmwareVersion) {
+    var register = lookupRegister(name);
+    if (register === null)
+        return false;
+
+    return register.devices.some(function (deviceInfo) {
+        if (typeof deviceInfo === 'string')
+            return deviceInfo === deviceType;
+
+        if (deviceInfo.device !== deviceType)
+            return false;
+
+        var hasFirmware = firmwareVersion !== null &&
+            firmwareVersion !== undefined;
+        return !hasFirmware || firmwareVersion >= deviceInfo.fwmin;
+    });
+}
+
+
+addRegisters(registerDescriptions.registers);
+loadInstalledConstants();
+
+
+exports.DATA_TYPES = DATA_TYPES;
+exports.addRegisters = addRegisters;
+exports.loadConstants = loadConstants;
+exports.loadInstalledConstants = loadInstalledConstants;
+exports.isComplete = isComplete;
+exports.isAddress = isAddress;
+exports.lookupRegister = lookupRegister;
+exports.lookupAddress = lookupAddress;
+exports.resolveRegister = resolveRegister;
+exports.coerceValue = coerceValue;
+exports.getAllRegisters = getAllRegisters;
+exports.canRead = canRead;
+exports.canWrite = canWrite;
+exports.isSupported = isSupported;
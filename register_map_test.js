@@ -0,0 +1,129 @@
+/**
+ * Automated tests for the bundled register information.
+ *
+ * @author: Chris Johnson (LabJack, 2014)
+ * @author: Sam Pottinger (LabJack, 2014)
+**/
+
+
+var rewire = require('rewire');
+
+var register_map = require('./register_map');
+
+
+module.exports = {
+
+    testLookupRegister: function (test) {
+        var register = register_map.lookupRegister('AIN1');
+        test.equal(register.address, 2);
+        test.equal(register.type, 'FLOAT32');
+        test.equal(register_map.lookupRegister('NOT_A_REGISTER'), null);
+        test.done();
+    },
+
+    testIsSupported: function (test) {
+        test.ok(register_map.isSupported('AIN0', 'T7', 1.0150));
+        test.ok(!register_map.isSupported('MIO0', 'T4', 1.0023));
+        test.ok(!register_map.isSupported('NOT_A_REGISTER', 'T7', 1.0150));
+        test.done();
+    },
+
+    testIsSupportedFirmware: function (test) {
+        test.ok(register_map.isSupported('DIO0_EF_ENABLE', 'T7', 1.0114));
+        test.ok(!register_map.isSupported('DIO0_EF_ENABLE', 'T7', 1.0100));
+        test.ok(register_map.isSupported('DIO0_EF_ENABLE', 'T7', null));
+        test.done();
+    },
+
+    testAccess: function (test) {
+        test.ok(register_map.canRead('AIN0'));
+        test.ok(!register_map.canWrite('AIN0'));
+        test.ok(register_map.canWrite('DAC0'));
+        test.ok(!register_map.canRead('NOT_A_REGISTER'));
+        test.done();
+    },
+
+    testAddRegisters: function (test) {
+        register_map.addRegisters([{
+            address: 46000,
+            name: 'TEST_REGISTER#(0:1)',
+            type: 'UINT32',
+            devices: ['T7'],
+            readwrite: 'RW',
+            units: 'counts'
+        }]);
+        var register = register_map.lookupRegister('TEST_REGISTER1');
+        test.equal(register.address, 46002);
+        test.equal(register.units, 'counts');
+        var allRegisters = register_map.getAllRegisters();
+        test.equal(allRegisters.TEST_REGISTER0.address, 46000);
+        test.done();
+    },
+
+    testResolveRegister: function (test) {
+        test.equal(register_map.resolveRegister('AIN1').key, 'AIN1');
+        test.equal(register_map.resolveRegister(2).key, 'AIN1');
+        test.equal(register_map.resolveRegister('2000').key, 'FIO0');
+
+        var register = register_map.resolveRegister('46100', 'UINT32');
+        test.equal(register.key, 46100);
+        test.equal(register.name, null);
+        test.equal(register.type, 'UINT32');
+
+        test.equal(register_map.resolveRegister(46100), null);
+        test.equal(register_map.resolveRegister('NOT_A_REGISTER'), null);
+        test.done();
+    },
+
+    testLoadConstants: function (test) {
+        var registerMap = rewire('./register_map');
+        registerMap.__set__('constantsLoaded', false);
+        test.ok(!registerMap.isComplete());
+        test.equal(registerMap.lookupRegister('TEST_REGISTER0'), null);
+
+        registerMap.loadConstants({
+            registers: [{
+                address: 60000,
+                name: 'TEST_REGISTER#(0:1)',
+                type: 'UINT16',
+                devices: ['T7'],
+                readwrite: 'RW'
+            }],
+            registers_beta: [{
+                address: 60100,
+                name: 'TEST_BETA#(0:1)',
+                type: 'FLOAT32',
+                devices: ['T7'],
+                readwrite: 'R'
+            }]
+        });
+
+        test.ok(registerMap.isComplete());
+        test.equal(registerMap.lookupRegister('TEST_REGISTER1').address, 60001);
+        test.equal(registerMap.lookupRegister('TEST_BETA1').address, 60102);
+        test.equal(registerMap.lookupRegister('AIN1').address, 2);
+        test.done();
+    },
+
+    testCoerceValue: function (test) {
+        test.deepEqual(
+            register_map.coerceValue('1.5', 'FLOAT32'),
+            {value: 1.5}
+        );
+        test.deepEqual(register_map.coerceValue('7', 'UINT16'), {value: 7});
+        test.deepEqual(register_map.coerceValue(-1, 'INT32'), {value: -1});
+        test.deepEqual(
+            register_map.coerceValue('name', 'STRING'),
+            {value: 'name'}
+        );
+
+        test.ok(register_map.coerceValue(65536, 'UINT16').error);
+        test.ok(register_map.coerceValue(-1, 'UINT32').error);
+        test.ok(register_map.coerceValue(1.5, 'INT32').error);
+        test.ok(register_map.coerceValue('abc', 'FLOAT32').error);
+        test.ok(register_map.coerceValue('', 'FLOAT32').error);
+        test.ok(register_map.coerceValue(5, 'STRING').error);
+        test.done();
+    }
+
+};
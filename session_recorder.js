@@ -0,0 +1,455 @@
+/**
+ * Logic to record the device data a module sees and replay it later.
+ *
+ * A session records the values returned by each readMany call, the error
+ * from each readMany call that failed, and each value written to a device
+ * along with when it happened. Saved sessions can be
+ * replayed through the framework with ReplayDevice objects in place of real
+ * devices so that a module's view shows exactly what the user saw.
+ *
+ * @author: Chris Johnson (LabJack, 2014)
+ * @author: Sam Pottinger (LabJack, 2014)
+**/
+
+var dict = require('dict');
+var q = require('q');
+
+var SESSION_VERSION = 1;
+var EVENT_TYPES = ['read', 'readError', 'write'];
+
+
+/**
+ * Find the problems with a single event in a saved session.
+ *
+ * @param {Object} event The event to check. See SessionRecorder.getSession.
+ * @return {Array} Array of String describing each problem. Empty if the
+ *      event can be replayed.
+**/
+function validateEvent (event) {
+    if (event === null || typeof event !== 'object')
+        return ['must be an object'];
+
+    var problems = [];
+    if (typeof event.time !== 'number')
+        problems.push('has invalid time');
+    if (typeof event.serial !== 'string')
+        problems.push('has invalid serial');
+    if (EVENT_TYPES.indexOf(event.type) == -1) {
+        problems.push('has invalid type ' + event.type);
+        return problems;
+    }
+
+    if (event.type === 'write') {
+        if (event.register === undefined)
+            problems.push('missing register');
+        return problems;
+    }
+
+    if (!Array.isArray(event.addresses))
+        problems.push('missing addresses');
+
+    if (event.type === 'readError') {
+        if (event.error === undefined)
+            problems.push('missing error');
+        return problems;
+    }
+
+    var validValues = Array.isArray(event.values) && (
+        !Array.isArray(event.addresses) ||
+        event.values.length == event.addresses.length
+    );
+    if (!validValues)
+        problems.push('has invalid values');
+    return problems;
+}
+
+
+/**
+ * Find all of the problems with a saved session.
+ *
+ * @param {Object} session The session to check as returned by
+ *      SessionRecorder.getSession.
+ * @return {Array} Array of String describing each problem. Empty if the
+ *      session can be replayed.
+**/
+function validateSession (session) {
+    if (session === null || typeof session !== 'object')
+        return ['Session must be an object'];
+
+    var problems = [];
+    if (session.version !== SESSION_VERSION)
+        problems.push('Session has unsupported version ' + session.version);
+
+    if (Array.isArray(session.devices)) {
+        session.devices.forEach(function (deviceInfo, i) {
+            var valid = deviceInfo !== null && typeof deviceInfo === 'object' &&
+                typeof deviceInfo.serial === 'string';
+            if (!valid)
+                problems.push('Session device ' + i + ' has invalid serial');
+        });
+    } else {
+        problems.push('Session missing devices');
+    }
+
+    if (!Array.isArray(session.events)) {
+        problems.push('Session missing events');
+        return problems;
+    }
+
+    session.events.forEach(function (event, i) {
+        validateEvent(event).forEach(function (problem) {
+            problems.push('Session event ' + i + ' ' + problem);
+        });
+    });
+    return problems;
+}
+
+
+/**
+ * Get a description of an error that can be saved as JSON.
+ *
+ * @param {Object} error The error to describe.
+ * @return {Object} The error's message if it is an Error and the error
+ *      itself otherwise.
+**/
+function describeError (error) {
+    if (error instanceof Error)
+        return error.message;
+    return error;
+}
+
+
+/**
+ * Get the name or address a register is recorded under.
+ *
+ * @param {Object} register The register name or address as given to a
+ *      device. Addresses that are not in the register map are given as an
+ *      Object with address and type attributes.
+ * @return {Object} The register name or address.
+**/
+function getRecordedRegister (register) {
+    if (register !== null && typeof register === 'object')
+        return register.address;
+    return register;
+}
+
+
+/**
+ * Recorder of the reads and writes the framework makes on its devices.
+ *
+ * Event times are saved as the number of milliseconds since the recording
+ * started.
+ *
+ * @param {function} now Function that returns the current time in
+ *      milliseconds. Optional. Defaults to Date.now.
+**/
+function SessionRecorder (now) {
+
+    if (now === undefined)
+        now = Date.now;
+
+    var startTime = now();
+    var devices = dict({});
+    var events = [];
+
+    /**
+     * Add a device to the session if it is not already included.
+     *
+     * @param {Object} deviceInfo Object with the serial, deviceType,
+     *      firmwareVersion, and name of the device.
+    **/
+    this.addDevice = function (deviceInfo) {
+        var serial = String(deviceInfo.serial);
+        if (!devices.has(serial))
+            devices.set(serial, deviceInfo);
+    };
+    var addDevice = this.addDevice;
+
+    /**
+     * Record the result of reading several registers from a device.
+     *
+     * @param {Object} deviceInfo The device read from. See addDevice.
+     * @param {Array} addresses The register names or addresses read.
+     * @param {Array} values The values read in the same order as addresses.
+    **/
+    this.recordRead = function (deviceInfo, addresses, values) {
+        addDevice(deviceInfo);
+        events.push({
+            time: now() - startTime,
+            serial: String(deviceInfo.serial),
+            type: 'read',
+            addresses: addresses.slice(),
+            values: values.slice()
+        });
+    };
+
+    /**
+     * Record a failed attempt to read several registers from a device.
+     *
+     * @param {Object} deviceInfo The device read from. See addDevice.
+     * @param {Array} addresses The register names or addresses read.
+     * @param {Object} error The error the read failed with.
+    **/
+    this.recordReadError = function (deviceInfo, addresses, error) {
+        addDevice(deviceInfo);
+        events.push({
+            time: now() - startTime,
+            serial: String(deviceInfo.serial),
+            type: 'readError',
+            addresses: addresses.slice(),
+            error: describeError(error)
+        });
+    };
+
+    /**
+     * Record a value written to a device register.
+     *
+     * @param {Object} deviceInfo The device written to. See addDevice.
+     * @param {Object} register The name or address of the register written.
+     * @param {Object} value The value written.
+    **/
+    this.recordWrite = function (deviceInfo, register, value) {
+        addDevice(deviceInfo);
+        events.push({
+            time: now() - startTime,
+            serial: String(deviceInfo.serial),
+            type: 'write',
+            register: register,
+            value: value
+        });
+    };
+
+    /**
+     * Get everything recorded so far.
+     *
+     * @return {Object} Object with the session format version, the time the
+     *      recording started (startTime), the devices involved, and the
+     *      events in the order they happened. Can be saved as JSON.
+    **/
+    this.getSession = function () {
+        var deviceList = [];
+        devices.forEach(function (deviceInfo) {
+            deviceList.push(deviceInfo);
+        });
+
+        return {
+            version: SESSION_VERSION,
+            startTime: new Date(startTime).toISOString(),
+            devices: deviceList,
+            events: events.slice()
+        };
+    };
+}
+
+
+/**
+ * Device that returns the values recorded in a session instead of reading
+ * real hardware.
+ *
+ * Replay starts when the device is created. Each read returns the latest
+ * value recorded for each register up to the current point in the replay.
+ * Registers that were not read by that point are returned as undefined. If
+ * the latest recorded readMany call failed, readMany fails with the recorded
+ * error until the next recorded read.
+ * Values written while replaying are not sent anywhere but are kept for
+ * inspection through getWrites.
+ *
+ * @param {Object} session The recorded session. See
+ *      SessionRecorder.getSession.
+ * @param {Object} deviceInfo The entry of session.devices to replay.
+ * @param {Object} options Object with optional speed and now attributes. The
+ *      speed attribute gives how many times faster than recorded the session
+ *      plays back and defaults to 1. The now attribute is a function that
+ *      returns the current time in milliseconds and defaults to Date.now.
+**/
+function ReplayDevice (session, deviceInfo, options) {
+
+    options = options || {};
+    var now = options.now || Date.now;
+    var speed = options.speed || 1;
+    var serial = String(deviceInfo.serial);
+
+    var reads = [];
+    var recordedWrites = [];
+    session.events.forEach(function (event) {
+        if (event.serial !== serial)
+            return;
+        if (event.type === 'read' || event.type === 'readError')
+            reads.push(event);
+        else if (event.type === 'write')
+            recordedWrites.push(event);
+    });
+
+    var startTime = now();
+    var nextRead = 0;
+    var knownValues = dict({});
+    var failedRead = null;
+    var writes = [];
+
+    /**
+     * Get how far into the session the replay is.
+     *
+     * @return {Number} Milliseconds of recorded time that have been replayed.
+    **/
+    var getReplayTime = function () {
+        return (now() - startTime) * speed;
+    };
+    this.getReplayTime = getReplayTime;
+
+    /**
+     * Update the known register values with reads that have been replayed.
+     *
+     * Also remembers if the latest replayed read failed.
+    **/
+    var advance = function () {
+        var replayTime = getReplayTime();
+        while (nextRead < reads.length && reads[nextRead].time <= replayTime) {
+            var read = reads[nextRead];
+            if (read.type === 'readError') {
+                failedRead = read;
+            } else {
+                failedRead = null;
+                read.addresses.forEach(function (address, i) {
+                    knownValues.set(String(address), read.values[i]);
+                });
+            }
+            nextRead++;
+        }
+    };
+
+    /**
+     * Get the serial number of the recorded device.
+     *
+     * @return {Object} The serial number saved in the session.
+    **/
+    this.getSerial = function () {
+        return deviceInfo.serial;
+    };
+
+    /**
+     * Get the type of the recorded device.
+     *
+     * @return {String} The device type like "T7" or null if not recorded.
+    **/
+    this.getDeviceType = function () {
+        return deviceInfo.deviceType;
+    };
+
+    /**
+     * Get the firmware version of the recorded device.
+     *
+     * @return {Number} The firmware version or null if not recorded.
+    **/
+    this.getFirmwareVersion = function () {
+        return deviceInfo.firmwareVersion;
+    };
+
+    /**
+     * Get the name of the recorded device.
+     *
+     * @return {String} The device name or null if not recorded.
+    **/
+    this.getName = function () {
+        return deviceInfo.name;
+    };
+
+    /**
+     * Get the recorded values of several registers.
+     *
+     * @param {Array} addresses The register names or addresses to read. See
+     *      getRecordedRegister.
+     * @return {q.promise} Promise that resolves to the values in the same
+     *      order as addresses. Rejects with the recorded error if the latest
+     *      recorded readMany call failed.
+    **/
+    this.readMany = function (addresses) {
+        advance();
+        if (failedRead !== null)
+            return q.reject(failedRead.error);
+        return q.resolve(addresses.map(function (address) {
+            return knownValues.get(String(getRecordedRegister(address)));
+        }));
+    };
+
+    /**
+     * Get the recorded value of a register.
+     *
+     * @param {Object} address The register name or address to read. See
+     *      getRecordedRegister.
+     * @return {q.promise} Promise that resolves to the value.
+    **/
+    this.read = function (address) {
+        advance();
+        return q.resolve(knownValues.get(String(getRecordedRegister(address))));
+    };
+
+    /**
+     * Accept a write without sending it to any hardware.
+     *
+     * @param {Object} address The register name or address written. See
+     *      getRecordedRegister.
+     * @param {Object} value The value written.
+     * @return {q.promise} Promise that resolves after the write is kept.
+    **/
+    this.write = function (address, value) {
+        writes.push({
+            time: getReplayTime(),
+            register: getRecordedRegister(address),
+            value: value
+        });
+        return q.resolve();
+    };
+
+    /**
+     * Get the writes the module made while replaying.
+     *
+     * @return {Array} Array of Object with time, register, and value
+     *      attributes.
+    **/
+    this.getWrites = function () {
+        return writes.slice();
+    };
+
+    /**
+     * Get the writes recorded in the session up to the current replay time.
+     *
+     * @return {Array} The recorded write events that have been replayed.
+    **/
+    this.getRecordedWrites = function () {
+        var replayTime = getReplayTime();
+        return recordedWrites.filter(function (event) {
+            return event.time <= replayTime;
+        });
+    };
+
+    /**
+     * Determine if every recorded read has been replayed.
+     *
+     * @return {boolean} True if the replay has passed the last recorded read.
+    **/
+    this.isFinished = function () {
+        advance();
+        return nextRead >= reads.length;
+    };
+}
+
+
+/**
+ * Create a replay device for each device in a session.
+ *
+ * @param {Object} session The recorded session. See
+ *      SessionRecorder.getSession.
+ * @param {Object} options See ReplayDevice.
+ * @return {Array} The ReplayDevice objects.
+**/
+function createReplayDevices (session, options) {
+    return session.devices.map(function (deviceInfo) {
+        return new ReplayDevice(session, deviceInfo, options);
+    });
+}
+
+
+exports.validateSession = validateSession;
+exports.SessionRecorder = SessionRecorder;
+exports.ReplayDevice = ReplayDevice;
+exports.createReplayDevices = createReplayDevices;
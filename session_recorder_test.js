@@ -0,0 +1,259 @@
+/**
+ * Automated tests for recording and replaying device sessions.
+ *
+ * @author: Chris Johnson (LabJack, 2014)
+ * @author: Sam Pottinger (LabJack, 2014)
+**/
+
+
+var session_recorder = require('./session_recorder');
+
+var DEVICE_INFO = {
+    serial: '470010100',
+    deviceType: 'T7',
+    firmwareVersion: 1.0150,
+    name: 'Lab T7'
+};
+
+
+/**
+ * Create a clock that only moves when the test says so.
+ *
+ * @return {Object} Object with a now function returning the current fake
+ *      time and an advance function that adds milliseconds to it.
+**/
+function createClock () {
+    var time = 1000;
+    return {
+        now: function () { return time; },
+        advance: function (milliseconds) { time += milliseconds; }
+    };
+}
+
+
+/**
+ * Create a session with reads at 0, 100, and 200 milliseconds.
+ *
+ * @return {Object} The recorded session.
+**/
+function createSession () {
+    var clock = createClock();
+    var recorder = new session_recorder.SessionRecorder(clock.now);
+
+    recorder.recordRead(DEVICE_INFO, ['AIN0', 'AIN1'], [1, 2]);
+    clock.advance(100);
+    recorder.recordRead(DEVICE_INFO, ['AIN0'], [3]);
+    recorder.recordWrite(DEVICE_INFO, 'DAC0', 2.5);
+    clock.advance(100);
+    recorder.recordRead(DEVICE_INFO, ['AIN0', 'AIN1'], [5, 6]);
+
+    return recorder.getSession();
+}
+
+
+module.exports = {
+
+    testRecordSession: function (test) {
+        var session = createSession();
+
+        test.equal(session.version, 1);
+        test.equal(session.startTime, '1970-01-01T00:00:01.000Z');
+        test.deepEqual(session.devices, [DEVICE_INFO]);
+        test.deepEqual(session.events[1], {
+            time: 100,
+            serial: '470010100',
+            type: 'read',
+            addresses: ['AIN0'],
+            values: [3]
+        });
+        test.deepEqual(session.events[2], {
+            time: 100,
+            serial: '470010100',
+            type: 'write',
+            register: 'DAC0',
+            value: 2.5
+        });
+        test.deepEqual(session_recorder.validateSession(session), []);
+        test.deepEqual(
+            session_recorder.validateSession(
+                JSON.parse(JSON.stringify(session))
+            ),
+            []
+        );
+        test.done();
+    },
+
+    testValidateSession: function (test) {
+        test.deepEqual(session_recorder.validateSession({version: 2}), [
+            'Session has unsupported version 2',
+            'Session missing devices',
+            'Session missing events'
+        ]);
+
+        var session = createSession();
+        session.devices = [null, {serial: 470010100}, DEVICE_INFO];
+        test.deepEqual(session_recorder.validateSession(session), [
+            'Session device 0 has invalid serial',
+            'Session device 1 has invalid serial'
+        ]);
+
+        session = createSession();
+        session.events = [
+            null,
+            {time: '0', serial: 470010100, type: 'read', values: [1]},
+            {time: 0, serial: '470010100', type: 'write'},
+            {time: 0, serial: '470010100', type: 'readError', addresses: []},
+            {time: 0, serial: '470010100', type: 'reset'},
+            {
+                time: 0,
+                serial: '470010100',
+                type: 'read',
+                addresses: ['AIN0'],
+                values: [1, 2]
+            }
+        ];
+        test.deepEqual(session_recorder.validateSession(session), [
+            'Session event 0 must be an object',
+            'Session event 1 has invalid time',
+            'Session event 1 has invalid serial',
+            'Session event 1 missing addresses',
+            'Session event 2 missing register',
+            'Session event 3 missing error',
+            'Session event 4 has invalid type reset',
+            'Session event 5 has invalid values'
+        ]);
+        test.done();
+    },
+
+    testReplayReadError: function (test) {
+        var clock = createClock();
+        var recorder = new session_recorder.SessionRecorder(clock.now);
+        recorder.recordRead(DEVICE_INFO, ['AIN0'], [1]);
+        clock.advance(100);
+        recorder.recordReadError(
+            DEVICE_INFO,
+            ['AIN0'],
+            new Error('LJME_RECONNECT_FAILED')
+        );
+        clock.advance(100);
+        recorder.recordRead(DEVICE_INFO, ['AIN0'], [3]);
+
+        var session = JSON.parse(JSON.stringify(recorder.getSession()));
+        test.deepEqual(session.events[1], {
+            time: 100,
+            serial: '470010100',
+            type: 'readError',
+            addresses: ['AIN0'],
+            error: 'LJME_RECONNECT_FAILED'
+        });
+        test.deepEqual(session_recorder.validateSession(session), []);
+
+        clock = createClock();
+        var device = new session_recorder.ReplayDevice(
+            session,
+            DEVICE_INFO,
+            {now: clock.now}
+        );
+
+        device.readMany(['AIN0']).then(function (values) {
+            test.deepEqual(values, [1]);
+            clock.advance(150);
+            return device.readMany(['AIN0']);
+        })
+        .then(function () {
+            test.ok(false);
+        }, function (err) {
+            test.equal(err, 'LJME_RECONNECT_FAILED');
+            clock.advance(50);
+            return device.readMany(['AIN0']);
+        })
+        .then(function (values) {
+            test.deepEqual(values, [3]);
+            test.ok(device.isFinished());
+            test.done();
+        });
+    },
+
+    testReplay: function (test) {
+        var clock = createClock();
+        var devices = session_recorder.createReplayDevices(
+            createSession(),
+            {now: clock.now}
+        );
+        var device = devices[0];
+
+        test.equal(devices.length, 1);
+        test.equal(device.getSerial(), '470010100');
+        test.equal(device.getDeviceType(), 'T7');
+
+        device.readMany(['AIN0', 'AIN1', 'AIN2']).then(function (values) {
+            test.deepEqual(values, [1, 2, undefined]);
+            clock.advance(150);
+            return device.readMany(['AIN0', 'AIN1']);
+        })
+        .then(function (values) {
+            test.deepEqual(values, [3, 2]);
+            test.equal(device.getRecordedWrites().length, 1);
+            test.ok(!device.isFinished());
+
+            clock.advance(50);
+            return device.read('AIN1');
+        })
+        .then(function (value) {
+            test.equal(value, 6);
+            test.ok(device.isFinished());
+            test.done();
+        });
+    },
+
+    testReplayAccelerated: function (test) {
+        var clock = createClock();
+        var device = new session_recorder.ReplayDevice(
+            createSession(),
+            DEVICE_INFO,
+            {now: clock.now, speed: 4}
+        );
+
+        clock.advance(50);
+        device.readMany(['AIN0']).then(function (values) {
+            test.equal(device.getReplayTime(), 200);
+            test.deepEqual(values, [5]);
+            return device.write('DAC0', 1);
+        })
+        .then(function () {
+            test.deepEqual(device.getWrites(), [
+                {time: 200, register: 'DAC0', value: 1}
+            ]);
+            test.done();
+        });
+    },
+
+    testReplayTypedAddresses: function (test) {
+        var clock = createClock();
+        var recorder = new session_recorder.SessionRecorder(clock.now);
+        recorder.recordRead(DEVICE_INFO, ['AIN0', 46100], [1, 7]);
+
+        var device = new session_recorder.ReplayDevice(
+            recorder.getSession(),
+            DEVICE_INFO,
+            {now: clock.now}
+        );
+        var register = {address: 46100, type: 'UINT32'};
+
+        device.readMany(['AIN0', register]).then(function (values) {
+            test.deepEqual(values, [1, 7]);
+            return device.read(register);
+        })
+        .then(function (value) {
+            test.equal(value, 7);
+            return device.write(register, 8);
+        })
+        .then(function () {
+            test.deepEqual(device.getWrites(), [
+                {time: 0, register: 46100, value: 8}
+            ]);
+            test.done();
+        });
+    }
+
+};
@@ -0,0 +1,166 @@
+/**
+ * Logic to turn raw register values into values displayed in a module's view.
+ *
+ * @author: Chris Johnson (LabJack, 2014)
+ * @author: Sam Pottinger (LabJack, 2014)
+**/
+
+var DEFAULT_ENGINEERING_DECIMALS = 3;
+
+var ENGINEERING_PREFIXES = {
+    '-12': 'p',
+    '-9': 'n',
+    '-6': 'u',
+    '-3': 'm',
+    '0': '',
+    '3': 'k',
+    '6': 'M',
+    '9': 'G'
+};
+var MIN_ENGINEERING_EXPONENT = -12;
+var MAX_ENGINEERING_EXPONENT = 9;
+
+
+/**
+ * Apply scale and offset calibration to a raw register value.
+ *
+ * @param {Number} value The raw value read from the device.
+ * @param {Object} formatter The formatter with optional scale and offset
+ *      attributes.
+ * @return {Number} The value multiplied by scale and then added to offset.
+**/
+function calibrate (value, formatter) {
+    var scale = formatter.scale === undefined ? 1 : formatter.scale;
+    var offset = formatter.offset === undefined ? 0 : formatter.offset;
+    return value * scale + offset;
+}
+
+
+/**
+ * Format a number using an SI prefix.
+ *
+ * Format a number so that it has between one and three digits before the
+ * decimal point followed by the appropriate SI prefix. For example, 0.00123
+ * with units of V becomes "1.230 mV".
+ *
+ * @param {Number} value The value to format.
+ * @param {int} decimals The number of digits to display after the decimal
+ *      point.
+ * @param {String} units The units to display after the SI prefix. May be an
+ *      empty string.
+ * @return {String} The formatted value with the SI prefix attached.
+**/
+function formatEngineering (value, decimals, units) {
+    var exponent = 0;
+    if (value !== 0)
+        exponent = Math.floor(Math.log(Math.abs(value)) / Math.LN10 / 3) * 3;
+
+    exponent = Math.max(MIN_ENGINEERING_EXPONENT, exponent);
+    exponent = Math.min(MAX_ENGINEERING_EXPONENT, exponent);
+
+    var mantissa = value / Math.pow(10, exponent);
+    var suffix = ENGINEERING_PREFIXES[exponent.toString()] + units;
+    if (suffix === '')
+        return mantissa.toFixed(decimals);
+    else
+        return mantissa.toFixed(decimals) + ' ' + suffix;
+}
+
+
+/**
+ * Convert a value read from the device to the value that should be displayed.
+ *
+ * The formatter may be a function or an object. A function is called with
+ * the raw value, the binding info object, and the description of the register
+ * (address, type, units, etc) and should return the value to display. An
+ * object may have the following optional attributes which are applied in the
+ * order listed:
+ *
+ * <ul>
+ *   <li>{Number} scale: Number to multiply the raw value by.</li>
+ *   <li>{Number} offset: Number to add to the scaled value.</li>
+ *   <li>{Object} lookup: Mapping from calibrated value to the value to
+ *          display. For example, {"0": "Off", "1": "On"}. If the value is
+ *          found in the lookup table, the mapped value is used as-is.</li>
+ *   <li>{boolean} engineering: If true, display the value with an SI
+ *          prefix (m, k, M, etc).</li>
+ *   <li>{int} decimals: The number of digits to display after the decimal
+ *          point.</li>
+ *   <li>{String} units: Units to display after the value.</li>
+ * </ul>
+ *
+ * @param {Object} value The raw value read from the device.
+ * @param {Object} formatter The formatter function or object as described
+ *      above. If not provided, the value is returned unchanged.
+ * @param {Object} bindingInfo The binding that the value was read for.
+ * @param {Object} registerInfo The description of the register the value was
+ *      read from (see register_map.lookupRegister). Optional.
+ * @return {Object} The value to display.
+**/
+function formatValue (value, formatter, bindingInfo, registerInfo) {
+    if (!formatter)
+        return value;
+
+    if (typeof formatter === 'function')
+        return formatter(value, bindingInfo, registerInfo);
+
+    var isNumber = typeof value === 'number';
+    if (isNumber)
+        value = calibrate(value, formatter);
+
+    if (formatter.lookup !== undefined) {
+        var lookupKey = value.toString();
+        if (formatter.lookup.hasOwnProperty(lookupKey))
+            return formatter.lookup[lookupKey];
+    }
+
+    var units = formatter.units === undefined ? '' : formatter.units;
+    var decimals = formatter.decimals;
+    if (isNumber && formatter.engineering) {
+        if (decimals === undefined)
+            decimals = DEFAULT_ENGINEERING_DECIMALS;
+        return formatEngineering(value, decimals, units);
+    }
+
+    if (isNumber && decimals !== undefined)
+        value = value.toFixed(decimals);
+
+    if (units === '')
+        return value;
+    else
+        return value + ' ' + units;
+}
+
+
+/**
+ * Check that a formatter is well formed.
+ *
+ * @param {Object} formatter The formatter function or object to check.
+ * @return {String} Description of the problem with the formatter or null if
+ *      the formatter is valid.
+**/
+function checkFormatter (formatter) {
+    if (typeof formatter === 'function')
+        return null;
+
+    if (formatter === null || typeof formatter !== 'object')
+        return 'Formatter must be a function or an object';
+
+    var numericAttrs = ['scale', 'offset', 'decimals'];
+    var numNumericAttrs = numericAttrs.length;
+    for (var i=0; i<numNumericAttrs; i++) {
+        var attrVal = formatter[numericAttrs[i]];
+        if (attrVal !== undefined && typeof attrVal !== 'number')
+            return 'Formatter ' + numericAttrs[i] + ' must be a number';
+    }
+
+    var lookup = formatter.lookup;
+    if (lookup !== undefined && (lookup === null || typeof lookup !== 'object'))
+        return 'Formatter lookup must be an object';
+
+    return null;
+}
+
+
+exports.formatValue = formatValue;
+exports.checkFormatter = checkFormatter;
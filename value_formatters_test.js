@@ -0,0 +1,73 @@
+/**
+ * Automated tests for the value formatters.
+ *
+ * @author: Chris Johnson (LabJack, 2014)
+ * @author: Sam Pottinger (LabJack, 2014)
+**/
+
+
+var value_formatters = require('./value_formatters');
+
+
+module.exports = {
+
+    testFormatValueNoFormatter: function (test) {
+        test.strictEqual(value_formatters.formatValue(1.5), 1.5);
+        test.done();
+    },
+
+    testFormatValueFunction: function (test) {
+        var testBinding = {binding: 'AIN0'};
+        var formatter = function (value, bindingInfo) {
+            test.deepEqual(bindingInfo, testBinding);
+            return 'value: ' + value;
+        };
+        test.equal(
+            value_formatters.formatValue(2, formatter, testBinding),
+            'value: 2'
+        );
+        test.done();
+    },
+
+    testFormatValueDecimals: function (test) {
+        var formatter = {decimals: 2, units: 'V'};
+        test.equal(value_formatters.formatValue(1.23456, formatter), '1.23 V');
+        test.done();
+    },
+
+    testFormatValueCalibration: function (test) {
+        var formatter = {scale: 100, offset: -10, decimals: 1};
+        test.equal(value_formatters.formatValue(0.5, formatter), '40.0');
+        test.done();
+    },
+
+    testFormatValueLookup: function (test) {
+        var formatter = {lookup: {'0': 'Off', '1': 'On'}};
+        test.equal(value_formatters.formatValue(0, formatter), 'Off');
+        test.equal(value_formatters.formatValue(1, formatter), 'On');
+        test.equal(value_formatters.formatValue(2, formatter), 2);
+        test.done();
+    },
+
+    testFormatValueEngineering: function (test) {
+        var formatter = {engineering: true, units: 'V'};
+        test.equal(value_formatters.formatValue(0.00123, formatter), '1.230 mV');
+        test.equal(value_formatters.formatValue(1500, formatter), '1.500 kV');
+        test.equal(value_formatters.formatValue(2, formatter), '2.000 V');
+        test.equal(value_formatters.formatValue(0, formatter), '0.000 V');
+
+        formatter = {engineering: true, decimals: 1};
+        test.equal(value_formatters.formatValue(2, formatter), '2.0');
+        test.done();
+    },
+
+    testCheckFormatter: function (test) {
+        test.equal(value_formatters.checkFormatter(function () {}), null);
+        test.equal(value_formatters.checkFormatter({decimals: 2}), null);
+        test.notEqual(value_formatters.checkFormatter('fixed'), null);
+        test.notEqual(value_formatters.checkFormatter({scale: '2'}), null);
+        test.notEqual(value_formatters.checkFormatter({lookup: 'on'}), null);
+        test.done();
+    }
+
+};
@@ -0,0 +1,201 @@
+/**
+ * Logic to turn values entered in a module's view into register values.
+ *
+ * @author: Chris Johnson (LabJack, 2014)
+ * @author: Sam Pottinger (LabJack, 2014)
+**/
+
+var VALID_TYPES = ['number', 'integer', 'string'];
+
+
+/**
+ * Convert a value entered by the user to the type expected by a binding.
+ *
+ * @param {Object} rawValue The value taken from the HTML element.
+ * @param {String} type The type to convert to. Should be "number",
+ *      "integer", or "string".
+ * @return {Object} Object with a value attribute set to the converted value
+ *      or an error attribute describing why the value could not be converted.
+**/
+function convertType (rawValue, type) {
+    if (type === 'string')
+        return {value: String(rawValue)};
+
+    var trimmed = String(rawValue).trim();
+    var converted = Number(trimmed);
+    if (trimmed === '' || isNaN(converted))
+        return {error: 'Value must be a number'};
+
+    if (type === 'integer' && Math.floor(converted) !== converted)
+        return {error: 'Value must be an integer'};
+
+    return {value: converted};
+}
+
+
+/**
+ * Convert a validated value to the value that should be written to a register.
+ *
+ * The parser may be a function or an object. A function is called with the
+ * validated value and the binding info object and should return the register
+ * value. An object is the inverse of a formatter and may have the following
+ * optional attributes:
+ *
+ * <ul>
+ *   <li>{Object} lookup: Mapping from entered value to register value. For
+ *          example, {"Off": 0, "On": 1}. If the value is found in the lookup
+ *          table, the mapped value is used as-is.</li>
+ *   <li>{Number} scale: The value is divided by scale.</li>
+ *   <li>{Number} offset: Subtracted from the value before dividing by
+ *          scale.</li>
+ * </ul>
+ *
+ * @param {Object} value The validated value.
+ * @param {Object} parser The parser function or object as described above.
+ * @param {Object} bindingInfo The binding the value will be written for.
+ * @return {Object} The value to write to the device.
+**/
+function applyParser (value, parser, bindingInfo) {
+    if (typeof parser === 'function')
+        return parser(value, bindingInfo);
+
+    if (parser.lookup !== undefined) {
+        var lookupKey = value.toString();
+        if (parser.lookup.hasOwnProperty(lookupKey))
+            return parser.lookup[lookupKey];
+    }
+
+    if (typeof value !== 'number')
+        return value;
+
+    var scale = parser.scale === undefined ? 1 : parser.scale;
+    var offset = parser.offset === undefined ? 0 : parser.offset;
+    return (value - offset) / scale;
+}
+
+
+/**
+ * Convert and check a value the user entered for a write binding.
+ *
+ * The binding's validation object may have the following optional
+ * attributes:
+ *
+ * <ul>
+ *   <li>{String} type: Either "number", "integer", or "string". The entered
+ *          value is converted to this type before being checked.</li>
+ *   <li>{Number} min: The smallest allowed value.</li>
+ *   <li>{Number} max: The largest allowed value.</li>
+ *   <li>{Array} allowed: List of the only values allowed.</li>
+ * </ul>
+ *
+ * After the value passes validation, the binding's parser (if any) is used to
+ * convert the value to register units. See applyParser.
+ *
+ * @param {Object} rawValue The value taken from the HTML element.
+ * @param {Object} bindingInfo The write binding the value was entered for.
+ * @return {Object} Object with a value attribute set to the value that should
+ *      be written to the device and an errors attribute with an Array of
+ *      String descriptions of problems with the value. The value should not be
+ *      written if errors is not empty.
+**/
+function parseValue (rawValue, bindingInfo) {
+    var validation = bindingInfo.validation;
+    var parser = bindingInfo.parser;
+    var value = rawValue;
+    var errors = [];
+
+    if (validation) {
+        if (validation.type !== undefined) {
+            var converted = convertType(rawValue, validation.type);
+            if (converted.error !== undefined)
+                return {value: rawValue, errors: [converted.error]};
+            value = converted.value;
+        }
+
+        var allowed = validation.allowed;
+        if (allowed !== undefined && allowed.indexOf(value) == -1)
+            errors.push('Value must be one of ' + allowed.join(', '));
+
+        if (validation.min !== undefined && value < validation.min)
+            errors.push('Value must be at least ' + validation.min);
+
+        if (validation.max !== undefined && value > validation.max)
+            errors.push('Value must be at most ' + validation.max);
+    }
+
+    if (errors.length > 0 || !parser)
+        return {value: value, errors: errors};
+
+    try {
+        value = applyParser(value, parser, bindingInfo);
+    } catch (err) {
+        errors.push(String(err));
+    }
+
+    return {value: value, errors: errors};
+}
+
+
+/**
+ * Check that a binding's validation object is well formed.
+ *
+ * @param {Object} validation The validation object to check.
+ * @return {String} Description of the problem with the validation object or
+ *      null if it is valid.
+**/
+function checkValidation (validation) {
+    if (validation === null || typeof validation !== 'object')
+        return 'Validation must be an object';
+
+    var type = validation.type;
+    if (type !== undefined && VALID_TYPES.indexOf(type) == -1)
+        return 'Validation type must be one of ' + VALID_TYPES.join(', ');
+
+    if (validation.min !== undefined && typeof validation.min !== 'number')
+        return 'Validation min must be a number';
+
+    if (validation.max !== undefined && typeof validation.max !== 'number')
+        return 'Validation max must be a number';
+
+    var allowed = validation.allowed;
+    if (allowed !== undefined && !(allowed instanceof Array))
+        return 'Validation allowed must be an Array';
+
+    return null;
+}
+
+
+/**
+ * Check that a binding's parser is well formed.
+ *
+ * @param {Object} parser The parser function or object to check.
+ * @return {String} Description of the problem with the parser or null if the
+ *      parser is valid.
+**/
+function checkParser (parser) {
+    if (typeof parser === 'function')
+        return null;
+
+    if (parser === null || typeof parser !== 'object')
+        return 'Parser must be a function or an object';
+
+    if (parser.scale !== undefined && typeof parser.scale !== 'number')
+        return 'Parser scale must be a number';
+
+    if (parser.scale === 0)
+        return 'Parser scale must not be zero';
+
+    if (parser.offset !== undefined && typeof parser.offset !== 'number')
+        return 'Parser offset must be a number';
+
+    var lookup = parser.lookup;
+    if (lookup !== undefined && (lookup === null || typeof lookup !== 'object'))
+        return 'Parser lookup must be an object';
+
+    return null;
+}
+
+
+exports.parseValue = parseValue;
+exports.checkValidation = checkValidation;
+exports.checkParser = checkParser;
@@ -0,0 +1,102 @@
+/**
+ * Automated tests for the value parsers.
+ *
+ * @author: Chris Johnson (LabJack, 2014)
+ * @author: Sam Pottinger (LabJack, 2014)
+**/
+
+
+var value_parsers = require('./value_parsers');
+
+
+module.exports = {
+
+    testParseValueNoRules: function (test) {
+        var result = value_parsers.parseValue('1.5', {binding: 'DAC0'});
+        test.strictEqual(result.value, '1.5');
+        test.deepEqual(result.errors, []);
+        test.done();
+    },
+
+    testParseValueType: function (test) {
+        var binding = {validation: {type: 'number'}};
+        test.strictEqual(value_parsers.parseValue('1.5', binding).value, 1.5);
+
+        var result = value_parsers.parseValue('abc', binding);
+        test.deepEqual(result.errors, ['Value must be a number']);
+
+        binding = {validation: {type: 'integer'}};
+        result = value_parsers.parseValue('1.5', binding);
+        test.deepEqual(result.errors, ['Value must be an integer']);
+        test.done();
+    },
+
+    testParseValueRange: function (test) {
+        var binding = {validation: {type: 'number', min: 0, max: 5}};
+        test.deepEqual(value_parsers.parseValue('5', binding).errors, []);
+        test.deepEqual(
+            value_parsers.parseValue('-1', binding).errors,
+            ['Value must be at least 0']
+        );
+        test.deepEqual(
+            value_parsers.parseValue('6', binding).errors,
+            ['Value must be at most 5']
+        );
+        test.done();
+    },
+
+    testParseValueAllowed: function (test) {
+        var binding = {
+            validation: {type: 'string', allowed: ['Off', 'On']},
+            parser: {lookup: {'Off': 0, 'On': 1}}
+        };
+        test.strictEqual(value_parsers.parseValue('On', binding).value, 1);
+        test.deepEqual(
+            value_parsers.parseValue('Maybe', binding).errors,
+            ['Value must be one of Off, On']
+        );
+        test.done();
+    },
+
+    testParseValueUnitConversion: function (test) {
+        var binding = {
+            validation: {type: 'number'},
+            parser: {scale: 100, offset: -10}
+        };
+        test.strictEqual(value_parsers.parseValue('40', binding).value, 0.5);
+        test.done();
+    },
+
+    testParseValueParserFunction: function (test) {
+        var binding = {
+            parser: function (value) {
+                if (value === 'bad')
+                    throw 'Bad value';
+                return value.length;
+            }
+        };
+        test.strictEqual(value_parsers.parseValue('abc', binding).value, 3);
+        test.deepEqual(
+            value_parsers.parseValue('bad', binding).errors,
+            ['Bad value']
+        );
+        test.done();
+    },
+
+    testCheckValidation: function (test) {
+        test.equal(value_parsers.checkValidation({type: 'number'}), null);
+        test.notEqual(value_parsers.checkValidation({type: 'float'}), null);
+        test.notEqual(value_parsers.checkValidation({min: '0'}), null);
+        test.notEqual(value_parsers.checkValidation({allowed: 'On'}), null);
+        test.done();
+    },
+
+    testCheckParser: function (test) {
+        test.equal(value_parsers.checkParser(function () {}), null);
+        test.equal(value_parsers.checkParser({scale: 2}), null);
+        test.notEqual(value_parsers.checkParser({scale: 0}), null);
+        test.notEqual(value_parsers.checkParser('volts'), null);
+        test.done();
+    }
+
+};
@@ -0,0 +1,143 @@
+/**
+ * Queue that serializes the operations a module performs on a single device.
+ *
+ * @author: Chris Johnson (LabJack, 2014)
+ * @author: Sam Pottinger (LabJack, 2014)
+**/
+
+var q = require('q');
+
+
+/**
+ * Queue of pending reads and writes for a device.
+ *
+ * Operations run one at a time in the order they were added so that reads
+ * from the refresh loop and writes from the module's view take turns. A write
+ * to a register that already has a write waiting in the queue replaces the
+ * waiting value instead of being added to the end. This way, only the latest
+ * value goes out to the device when the view generates writes faster than the
+ * device can handle them.
+**/
+function WriteQueue () {
+
+    var operations = [];
+    var busy = false;
+
+    /**
+     * Settle all of the promises waiting on an operation.
+     *
+     * @param {Object} operation The operation that finished.
+     * @param {q.promise} result Promise for the result of the operation.
+    **/
+    var finishOperation = function (operation, result) {
+        result.then(
+            function (value) {
+                operation.deferreds.forEach(function (deferred) {
+                    deferred.resolve(value);
+                });
+            },
+            function (err) {
+                operation.deferreds.forEach(function (deferred) {
+                    deferred.reject(err);
+                });
+            }
+        )
+        .fin(function () {
+            busy = false;
+            runNext();
+        });
+    };
+
+    /**
+     * Start the next operation in the queue if no other is running.
+    **/
+    var runNext = function () {
+        if (busy || operations.length == 0)
+            return;
+
+        busy = true;
+        var operation = operations.shift();
+
+        var result;
+        try {
+            if (operation.type === 'write')
+                result = q(operation.perform(operation.value));
+            else
+                result = q(operation.perform());
+        } catch (err) {
+            result = q.reject(err);
+        }
+
+        finishOperation(operation, result);
+    };
+
+    /**
+     * Add a write to the queue.
+     *
+     * @param {String} register The name of the register to write.
+     * @param {Object} value The value to write to the register.
+     * @param {function} perform Function that writes a value to the device.
+     *      Will be called with the value to write and should return a promise
+     *      that resolves after the write finishes.
+     * @return {q.promise} Promise that resolves to the result of the write
+     *      that was performed. If this write was merged with a later write to
+     *      the same register, the promise settles after that later write.
+    **/
+    this.write = function (register, value, perform) {
+        var deferred = q.defer();
+
+        var numOperations = operations.length;
+        for (var i=0; i<numOperations; i++) {
+            var operation = operations[i];
+            if (operation.type === 'write' && operation.register === register) {
+                operation.value = value;
+                operation.perform = perform;
+                operation.deferreds.push(deferred);
+                return deferred.promise;
+            }
+        }
+
+        operations.push({
+            type: 'write',
+            register: register,
+            value: value,
+            perform: perform,
+            deferreds: [deferred]
+        });
+        runNext();
+
+        return deferred.promise;
+    };
+
+    /**
+     * Add a read to the queue.
+     *
+     * @param {function} perform Function that reads from the device. Should
+     *      take no arguments and return a promise that resolves to the values
+     *      read.
+     * @return {q.promise} Promise that resolves to the values read.
+    **/
+    this.read = function (perform) {
+        var deferred = q.defer();
+        operations.push({
+            type: 'read',
+            perform: perform,
+            deferreds: [deferred]
+        });
+        runNext();
+        return deferred.promise;
+    };
+
+    /**
+     * Determine how many operations are waiting to run.
+     *
+     * @return {int} The number of operations in the queue not including the
+     *      one currently running.
+    **/
+    this.size = function () {
+        return operations.length;
+    };
+}
+
+
+exports.WriteQueue = WriteQueue;
@@ -0,0 +1,112 @@
+/**
+ * Automated tests for the device write queue.
+ *
+ * @author: Chris Johnson (LabJack, 2014)
+ * @author: Sam Pottinger (LabJack, 2014)
+**/
+
+
+var q = require('q');
+
+var write_queue = require('./write_queue');
+
+
+/**
+ * Create a fake device operation that finishes only when told to.
+ *
+ * @param {Array} log Array that the operation should record its calls in.
+ * @param {Array} pending Array that the operation's deferred is added to so
+ *      the test can decide when the operation finishes.
+ * @return {function} Operation that can be given to a WriteQueue.
+**/
+function createOperation (log, pending) {
+    return function (value) {
+        var deferred = q.defer();
+        log.push(value);
+        pending.push(deferred);
+        return deferred.promise;
+    };
+}
+
+
+module.exports = {
+
+    testWriteSerialized: function (test) {
+        var testQueue = new write_queue.WriteQueue();
+        var log = [];
+        var pending = [];
+        var operation = createOperation(log, pending);
+
+        testQueue.write('DAC0', 1, operation);
+        testQueue.write('DAC1', 2, operation);
+        test.deepEqual(log, [1]);
+        test.equal(testQueue.size(), 1);
+
+        pending[0].resolve();
+        q.delay(1).then(function () {
+            test.deepEqual(log, [1, 2]);
+            test.done();
+        });
+    },
+
+    testWriteCoalesced: function (test) {
+        var testQueue = new write_queue.WriteQueue();
+        var log = [];
+        var pending = [];
+        var operation = createOperation(log, pending);
+
+        testQueue.write('DAC0', 1, operation);
+        var secondWrite = testQueue.write('DAC1', 2, operation);
+        var thirdWrite = testQueue.write('DAC1', 3, operation);
+        test.equal(testQueue.size(), 1);
+
+        pending[0].resolve(1);
+        q.delay(1).then(function () {
+            test.deepEqual(log, [1, 3]);
+            pending[1].resolve(3);
+            return q.all([secondWrite, thirdWrite]);
+        })
+        .then(function (results) {
+            test.deepEqual(results, [3, 3]);
+            test.done();
+        });
+    },
+
+    testReadsInterleaved: function (test) {
+        var testQueue = new write_queue.WriteQueue();
+        var log = [];
+        var pending = [];
+        var operation = createOperation(log, pending);
+        var read = function () {
+            return operation('read');
+        };
+
+        testQueue.write('DAC0', 1, operation);
+        testQueue.read(read);
+        testQueue.write('DAC0', 2, operation);
+
+        pending[0].resolve();
+        q.delay(1).then(function () {
+            pending[1].resolve();
+            return q.delay(1);
+        })
+        .then(function () {
+            test.deepEqual(log, [1, 'read', 2]);
+            test.done();
+        });
+    },
+
+    testOperationError: function (test) {
+        var testQueue = new write_queue.WriteQueue();
+        var failingWrite = function () {
+            throw 'write failed';
+        };
+
+        testQueue.write('DAC0', 1, failingWrite).fail(function (err) {
+            test.equal(err, 'write failed');
+            test.equal(testQueue.size(), 0);
+            test.done();
+        });
+    }
+
+};